@@ -13,6 +13,27 @@
  *   var hub = this.require('hub');
  *   hub.subscribe('dropdown:open', this.onOpen, this);
  *   hub.publish('dropdown:open');
+ *
+ *   // Patterns can be used to subscribe to families of events. A "*"
+ *   // matches a single segment of the topic and "**" matches one or more.
+ *   // The handler receives the published topic as the first argument.
+ *   hub.subscribe('module:*', function (topic, module) {});
+ *   hub.subscribe('cart:**', function (topic) {});
+ *   hub.subscribe('*:open', function (topic) {});
+ *
+ *   // Request data from another part of the page without talking to it
+ *   // directly. The responder can return a value or a promise.
+ *   hub.reply('user:current', function (payload) { return user; });
+ *   hub.request('user:current').then(function (user) {});
+ *
+ *   // Sticky topics retain the last published arguments and pass them to
+ *   // handlers as soon as they subscribe.
+ *   hub.sticky('user:loaded');
+ *   hub.publish('user:loaded', user);
+ *   hub.subscribe('user:loaded', function (user) {}); // Called immediately.
+ *
+ *   // Topics can be mirrored to other windows and tabs.
+ *   hub.bridge({topics: ['session:expired', 'cart:*'], channel: 'shop'});
  */
 define(function (require, exports) {
   // Create a happy new global event object with a familiar api.
@@ -20,51 +41,1036 @@ define(function (require, exports) {
   var Broadcast = require('vendor/broadcast');
   var libraries = require('lib/library').libraries;
 
-  exports.Events = Broadcast;
-  var hub = new Broadcast();
+  /* An event emitter that calls each handler in isolation, an error thrown
+   * by one handler is passed to hub.report() rather than preventing the
+   * remaining handlers from being called. Handlers can also subscribe to
+   * patterns, see the hub documentation.
+   */
+  var Events = util.inherit(Broadcast, {
+    constructor: function Events() {
+      Broadcast.apply(this, arguments);
+    },
+
+    /* Calls each handler subscribed to the topic followed by handlers
+     * subscribed to a matching pattern and to "all". The latter receive the
+     * topic as the first argument.
+     *
+     * topic - The topic name, optionally with a namespace to only call
+     *         handlers registered with it.
+     * *args - All following arguments are passed to handlers.
+     *
+     * Returns itself.
+     */
+    emit: function (topic/* , arguments... */) {
+      emitEvent(this, {topic: topic, args: _.rest(arguments), meta: {}});
+      return this;
+    }
+  });
+
+  exports.Events = Events;
+
+  // Identifies messages sent by a HubBridge.
+  var BRIDGE_MESSAGE = 'm:hub';
+
+  // The number of bridged message ids remembered to prevent loops.
+  var BRIDGE_HISTORY = 100;
+
+  // Cache of regular expressions compiled from subscription patterns.
+  var patterns = {};
+
+  /* Checks if a topic contains wildcard segments.
+   *
+   * topic - A topic string without a namespace.
+   *
+   * Returns true if the topic is a pattern.
+   */
+  function isPattern(topic) {
+    return topic.indexOf('*') > -1;
+  }
+
+  /* Compiles a subscription pattern into a regular expression. Topics are
+   * split into segments by ":", a "*" segment matches exactly one segment
+   * and a "**" segment matches one or more.
+   *
+   * pattern - A pattern string such as "module:*".
+   *
+   * Returns a RegExp.
+   */
+  function compilePattern(pattern) {
+    if (!patterns[pattern]) {
+      var source = _.map(pattern.split(':'), function (segment) {
+        if (segment === '**') {
+          return '.+';
+        }
+        if (segment === '*') {
+          return '[^:]+';
+        }
+        return segment.replace(/[\-\[\]\/{}()*+?.\\^$|]/g, '\\$&');
+      });
+      patterns[pattern] = new RegExp('^' + source.join(':') + '$');
+    }
+    return patterns[pattern];
+  }
+
+  /* Checks if a topic matches any of the names or patterns provided.
+   *
+   * topics - An array of topic names and patterns.
+   * topic  - A topic name.
+   *
+   * Returns true if the topic matches.
+   */
+  function matchesAny(topics, topic) {
+    return _.any(topics, function (name) {
+      return name === topic || (isPattern(name) && compilePattern(name).test(topic));
+    });
+  }
+
+  /* Adds an event to the queue of events held while paused, respecting the
+   * hub limit and overflow policy.
+   *
+   * hub  - The paused hub.
+   * item - An event object with topic, args and meta properties.
+   *
+   * Returns true if the event was queued.
+   */
+  function enqueue(hub, item) {
+    if (hub.overflow === 'coalesce') {
+      hub._queue = _.reject(hub._queue, function (queued) {
+        return queued.topic === item.topic;
+      });
+    }
+
+    if (hub._queue.length >= hub.limit) {
+      if (hub.overflow === 'drop' || !hub._queue.length) {
+        return false;
+      }
+      hub._queue.shift();
+    }
+
+    hub._queue.push(item);
+    return true;
+  }
+
+  /* Waits for the next event published to a topic.
+   *
+   * hub     - The hub to subscribe to.
+   * topic   - A topic name, pattern and/or namespace.
+   * options - An object of options (default: {}).
+   *           timeout: Milliseconds to wait before rejecting (default: forever).
+   *           filter:  A function called with the event arguments, the
+   *                    event is ignored unless it returns true.
+   *
+   * Returns an object with a promise for an array of the event arguments
+   * and a cancel function that rejects it with the error provided.
+   */
+  function waitFor(hub, topic, options) {
+    var Promise = util.promise('hub.when()');
+    var waiting = {};
+    var timer;
+
+    options = options || {};
+    waiting.promise = new Promise(function (resolve, reject) {
+      function handler() {
+        var args = _.toArray(arguments);
+        if (!options.filter || options.filter.apply(null, args)) {
+          waiting.cancel();
+          resolve(args);
+        }
+      }
+
+      waiting.cancel = function (error) {
+        clearTimeout(timer);
+        hub.unsubscribe(topic, handler);
+        if (error) {
+          reject(error);
+        }
+      };
+
+      if (options.timeout) {
+        timer = setTimeout(function () {
+          waiting.cancel(new Error('Timed out waiting for "' + topic + '" after ' + options.timeout + 'ms'));
+        }, options.timeout);
+      }
+
+      hub.subscribe(topic, handler);
+    });
+
+    return waiting;
+  }
+
+  /* Gets the type of a value for schema validation.
+   *
+   * value - Any value.
+   *
+   * Returns a string such as "array", "object" or "number".
+   */
+  function typeOf(value) {
+    return _.isArray(value) ? 'array' : typeof value;
+  }
+
+  /* Validates a value against a schema. A schema is either a type name
+   * ("string", "number", "boolean", "object", "array", "function" or "any"),
+   * a constructor the value must be an instance of, or an object with the
+   * following properties.
+   *
+   * type       - A type name or constructor (default: "any").
+   * optional   - True if the value can be null or undefined.
+   * properties - An object of schemas for the properties of an object.
+   * items      - A schema for each item in an array.
+   *
+   * schema - The schema to validate against.
+   * value  - The value to validate.
+   * path   - A description of the value used in error messages.
+   *
+   * Returns an array of error messages, empty if the value is valid.
+   */
+  function validate(schema, value, path) {
+    if (typeof schema !== 'object') {
+      schema = {type: schema};
+    }
+
+    var type = schema.type || 'any';
+    var errors = [];
+
+    if (value === null || value === undefined) {
+      return schema.optional ? errors : [path + ' is required'];
+    }
+
+    if (typeof type === 'function') {
+      if (!(value instanceof type)) {
+        return [path + ' must be an instance of ' + (type.name || 'the expected constructor')];
+      }
+    } else if (type !== 'any' && typeOf(value) !== type) {
+      return [path + ' must be of type ' + type + ' but was ' + typeOf(value)];
+    }
+
+    _.each(schema.properties, function (property, key) {
+      errors.push.apply(errors, validate(property, value[key], path + '.' + key));
+    });
 
-  /* Allow events to be paused, this will collect any events published while
-   * paused and republished them when .resume() is called. This is useful
-   * for initialization where you may want to wait for everything to be
-   * ready before events are published.
+    if (schema.items && _.isArray(value)) {
+      _.each(value, function (item, index) {
+        errors.push.apply(errors, validate(schema.items, item, path + '[' + index + ']'));
+      });
+    }
+
+    return errors;
+  }
+
+  /* Calls a handler with the arguments of an event. The delivery is first
+   * passed to the "deliver" function of each interceptor, which can change
+   * the arguments or return false to skip the handler. Errors thrown by the
+   * handler are passed to hub.report().
+   *
+   * emitter - The Events object delivering the event.
+   * event   - An event object with topic, args and meta properties.
+   * handler - A handler object with callback, context and namespace.
+   * prefix  - An array of arguments passed before the event arguments.
    *
    * Returns nothing.
    */
-  hub.pause = function () {
-    this._deferred = this._deferred || [];
-  };
+  function deliver(emitter, event, handler, prefix) {
+    var delivery = {topic: event.topic, args: event.args.slice(), meta: event.meta};
+    var vetoed = _.any(emitter._interceptors, function (interceptor) {
+      return interceptor.deliver && interceptor.deliver(delivery, handler) === false;
+    });
+
+    if (vetoed) {
+      return;
+    }
+
+    try {
+      handler.callback.apply(handler.context, prefix.concat(delivery.args));
+    } catch (error) {
+      var mediator = emitter._mediators && emitter._mediators[handler.namespace];
+      (emitter instanceof Hub ? emitter : hub).report(error, {
+        topic: event.topic,
+        handler: handler.callback,
+        namespace: handler.namespace,
+        cid: emitter.cid || (mediator && mediator.cid) || null
+      });
+    }
+  }
 
-  /* Resumes normal publishing of events, will flush the backlog of events
-   * collected while paused.
+  /* Delivers an event to each handler subscribed to the topic, followed by
+   * the handlers subscribed to a matching pattern and to "all". The latter
+   * receive the topic as the first argument.
+   *
+   * emitter - The Events object emitting the event.
+   * event   - An event object, the topic may include a namespace to only
+   *           call handlers registered with it.
    *
    * Returns nothing.
    */
-  hub.resume = function () {
-    var items = this._deferred || [];
-    this._deferred = null;
+  function emitEvent(emitter, event) {
+    var index = event.topic.lastIndexOf('.');
+    var namespace = index > -1 ? event.topic.slice(index) : null;
+    var topic = index > -1 ? event.topic.slice(0, index) : event.topic;
+
+    event = _.extend({}, event, {topic: topic});
+
+    var handlers = _.map(emitter._callbacks[topic], function (handler) {
+      return [handler, []];
+    });
+
+    _.each(emitter._callbacks, function (callbacks, pattern) {
+      if (pattern !== topic && isPattern(pattern) && compilePattern(pattern).test(topic)) {
+        handlers.push.apply(handlers, _.map(callbacks, function (handler) {
+          return [handler, [topic]];
+        }));
+      }
+    });
+
+    handlers = _.filter(handlers, function (pair) {
+      return !namespace || pair[0].namespace === namespace;
+    });
 
-    for (var index = 0, length = items.length; index < length; index += 1) {
-      this.publish.apply(this, items[index]);
+    if (topic !== 'all') {
+      handlers.push.apply(handlers, _.map(emitter._callbacks.all, function (handler) {
+        return [handler, [topic]];
+      }));
     }
-  };
 
-  /* Wrap the normal emit function in order to collect published events while
-   * paused.
+    _.each(handlers, function (pair) {
+      deliver(emitter, event, pair[0], pair[1]);
+    });
+  }
+
+  /* Publishes an event that has passed the publish interceptors. It will be
+   * queued if the hub is paused, otherwise it is retained for sticky topics,
+   * sent over any bridges and emitted.
+   *
+   * hub   - The hub publishing the event.
+   * event - An event object.
    *
-   * Returns itself.
+   * Returns nothing.
+   */
+  function publishEvent(hub, event) {
+    if (hub.isPaused(event.topic)) {
+      enqueue(hub, event);
+      return;
+    }
+
+    if (hub._sticky[event.topic]) {
+      hub._sticky[event.topic].args = event.args;
+      hub._sticky[event.topic].meta = event.meta;
+      hub._sticky[event.topic].published = new Date().getTime();
+    }
+
+    _.invoke(hub._bridges, 'send', event.topic, event.args, event.meta);
+    emitEvent(hub, event);
+  }
+
+  /* The hub is an Events object that adds wildcard patterns, request and
+   * reply, sticky topics, pausing, bridging, interceptors and an event
+   * catalog. The page shares a single hub, exported as m.events, but
+   * separate hubs can be created, for example to isolate a module in tests.
    */
-  hub.publish = function (name/* , arguments... */) {
-    // Allow internal module events to be whitelisted. This allows the
-    // application to setup. For example listening for module:create.
-    if (this._deferred && name.indexOf('module:') !== 0) {
-      this._deferred.push(_.toArray(arguments));
+  var Hub = util.inherit(Events, {
+    constructor: function Hub() {
+      Events.apply(this, arguments);
+
+      // Responders registered with hub.reply() keyed by topic.
+      this._replies = {};
+
+      // Default number of milliseconds to wait for a reply to a request.
+      this.timeout = 10000;
+
+      // Sticky topics keyed by name with their last published arguments.
+      this._sticky = {};
+
+      // Active pause tokens and the events held while paused.
+      this._pauses = [];
+      this._queue = [];
+
+      // The maximum number of events held while paused and what to do when
+      // there are too many: "drop" ignores new events, "drop-oldest" discards
+      // the oldest and "coalesce" keeps only the latest event for each topic.
+      this.limit = Infinity;
+      this.overflow = 'drop';
+
+      // Connected HubBridge instances and the ids of recently bridged messages.
+      this._bridges = [];
+      this._bridged = [];
+
+      // Interceptors registered with hub.intercept().
+      this._interceptors = [];
+
+      // ModuleMediator instances keyed by namespace.
+      this._mediators = {};
+
+      // An optional function called with errors thrown by handlers, and whether
+      // those errors should be rethrown immediately. See hub.report().
+      this.reporter = null;
+      this.strict = false;
+
+      // Topics declared with hub.define(). When debug is enabled published
+      // arguments are validated and undeclared topics produce warnings.
+      this._catalog = {};
+      this.debug = false;
+
+      // Declare the events published by m itself.
+      this.define('module:*', {description: 'Events emitted by modules, such as module:create'})
+          .define('error', {description: 'Errors thrown by event handlers', schema: [Error, 'object']})
+          .define('bridge:error', {description: 'Events that could not be sent over a HubBridge', schema: [Error, 'string']});
+    },
+
+    /* Handles an error thrown by an event handler. In strict mode, useful in
+     * tests, the error is rethrown. Otherwise it is passed to hub.reporter if
+     * set, or published on the "error" topic. If there is nothing to handle
+     * it the error is rethrown asynchronously so that it is not lost.
+     *
+     * error   - The error thrown.
+     * details - An object describing where the error was thrown.
+     *           topic:     The topic being delivered.
+     *           handler:   The handler function.
+     *           namespace: The namespace of the handler.
+     *           cid:       The cid of the module owning the handler.
+     *           Modules with invalid options are reported with the
+     *           "module:error" topic, the element and the module type.
+     *           Rejected teardowns of modules removed by the registry are
+     *           reported with the "module:remove" topic and the cid.
+     *
+     * Examples
+     *
+     *   hub.reporter = function (error, details) {
+     *     tracker.track(error, details.topic, details.cid);
+     *   };
+     *
+     *   hub.subscribe('error', function (error, details) {});
+     *
+     * Returns itself.
+     */
+    report: function (error, details) {
+      if (this.strict) {
+        throw error;
+      }
+
+      if (this.reporter) {
+        this.reporter(error, details);
+      } else if (details.topic !== 'error' && this._callbacks.error && this._callbacks.error.length) {
+        this.emit('error', error, details);
+      } else {
+        setTimeout(function () { throw error; }, 0);
+      }
+      return this;
+    },
+
+    /* Allow events to be paused, this will collect any events published while
+     * paused and republish them when .resume() is called. This is useful
+     * for initialization where you may want to wait for everything to be
+     * ready before events are published.
+     *
+     * Pauses can be nested, each call returns a token that must be passed to
+     * .resume(). Events are held until every pause holding them is resumed.
+     *
+     * options - An object of options (default: {}).
+     *           allow: Topics and patterns published immediately
+     *                  (default: ["module:**"]).
+     *           block: Topics and patterns to hold, if provided all other
+     *                  topics are published immediately.
+     *
+     * Examples
+     *
+     *   var token = hub.pause();
+     *   hub.publish('app:ready'); // Held until resumed.
+     *   hub.resume(token);
+     *
+     *   // Only hold cart events.
+     *   var token = hub.pause({block: ['cart:*']});
+     *
+     * Returns a token for the pause.
+     */
+    pause: function (options) {
+      options = options || {};
+
+      var token = {
+        allow: options.allow || ['module:**'],
+        block: options.block || null
+      };
+
+      this._pauses.push(token);
+      return token;
+    },
+
+    /* Releases a pause. Any events no longer held by another pause are
+     * republished in the order they were published. If no token is provided
+     * the most recent pause is released.
+     *
+     * token - A token returned by .pause().
+     *
+     * Examples
+     *
+     *   hub.resume(token);
+     *
+     * Returns true if the pause was released, false if it had already been.
+     */
+    resume: function (token) {
+      token = arguments.length ? token : _.last(this._pauses);
+      if (!_.contains(this._pauses, token)) {
+        return false;
+      }
+
+      var items = this._queue;
+      this._pauses = _.without(this._pauses, token);
+      this._queue = [];
+
+      _.each(items, function (item) {
+        publishEvent(this, item);
+      }, this);
+
+      return true;
+    },
+
+    /* Checks if the hub is paused. If a topic is provided checks whether
+     * events published to it will be held.
+     *
+     * topic - A topic name (optional).
+     *
+     * Examples
+     *
+     *   hub.pause({block: ['cart:*']});
+     *   hub.isPaused(); //=> true
+     *   hub.isPaused('user:loaded'); //=> false
+     *
+     * Returns true if paused.
+     */
+    isPaused: function (topic) {
+      if (!arguments.length) {
+        return this._pauses.length > 0;
+      }
+
+      return _.any(this._pauses, function (token) {
+        return !matchesAny(token.allow, topic) && (!token.block || matchesAny(token.block, topic));
+      });
+    },
+
+    /* Lists the events currently held while paused.
+     *
+     * Examples
+     *
+     *   hub.queued(); //=> [{topic: 'app:ready', args: []}]
+     *
+     * Returns an array of objects with topic and args properties.
+     */
+    queued: function () {
+      return _.map(this._queue, function (item) {
+        return {topic: item.topic, args: item.args.slice()};
+      });
+    },
+
+    /* Wrap the normal emit function in order to collect published events while
+     * paused.
+     *
+     * Returns itself.
+     */
+    publish: function (name/* , arguments... */) {
+      return this.dispatch({topic: name, args: _.rest(arguments), meta: {}});
+    },
+
+    /* Publishes an event object. The event is first passed to the "publish"
+     * function of each interceptor, which can change it or return false to
+     * prevent it being published.
+     *
+     * event - An object with the following properties.
+     *         topic: The topic name.
+     *         args:  An array of arguments for the handlers (default: []).
+     *         meta:  An object of metadata for interceptors (default: {}).
+     *
+     * Examples
+     *
+     *   hub.dispatch({topic: 'cart:updated', args: [cart], meta: {cid: 'cart:1'}});
+     *
+     * Returns itself.
+     */
+    dispatch: function (event) {
+      event = _.extend({args: [], meta: {}}, event);
+
+      var vetoed = _.any(this._interceptors, function (interceptor) {
+        return interceptor.publish && interceptor.publish(event) === false;
+      });
+
+      if (vetoed) {
+        return this;
+      }
+
+      if (this.debug) {
+        _.each(this.check(event.topic, event.args), this.warn, this);
+      }
+
+      publishEvent(this, event);
+      return this;
+    },
+
+    /* Registers an interceptor that is called for every published event and
+     * every delivery of an event to a handler. Interceptors are called in the
+     * order they were registered.
+     *
+     * interceptor - An object with one or both of the following functions.
+     *               publish: Called with the event object before it is
+     *                        published. It can change the topic arguments or
+     *                        add metadata, returning false vetoes the event.
+     *               deliver: Called with a copy of the event and the handler
+     *                        object before each handler is called. Returning
+     *                        false skips the handler.
+     *
+     * Examples
+     *
+     *   hub.intercept({
+     *     publish: function (event) {
+     *       event.meta.timestamp = new Date().getTime();
+     *     },
+     *     deliver: function (event, handler) {
+     *       console.log(event.topic, event.meta.cid, '->', handler.namespace);
+     *     }
+     *   });
+     *
+     * Returns itself.
+     * Raises an Error if the interceptor has no functions.
+     */
+    intercept: function (interceptor) {
+      if (!interceptor || (typeof interceptor.publish !== 'function' && typeof interceptor.deliver !== 'function')) {
+        throw new Error('hub.intercept() requires an object with a publish or deliver function');
+      }
+      this._interceptors.push(interceptor);
+      return this;
+    },
+
+    /* Removes an interceptor registered with .intercept().
+     *
+     * interceptor - The interceptor object.
+     *
+     * Returns itself.
+     */
+    removeInterceptor: function (interceptor) {
+      this._interceptors = _.without(this._interceptors, interceptor);
+      return this;
+    },
+
+    /* Wrap the normal addListener function so that handlers subscribing to a
+     * sticky topic are immediately called with the last published arguments.
+     * Pattern handlers receive the matching topic as the first argument. The
+     * retained event is delivered like any other so interceptors see it and
+     * errors thrown by the handler are reported.
+     *
+     * Returns itself.
+     */
+    subscribe: function (topic, callback, context) {
+      this.addListener.apply(this, arguments);
+
+      if (typeof topic !== 'string') {
+        return this;
+      }
+
+      context = arguments.length === 3 ? context : null;
+      _.each(topic.split(' '), function (topic) {
+        var index = topic.lastIndexOf('.');
+        var handler = {callback: callback, context: context, namespace: index > -1 ? topic.slice(index) : null};
+        topic = index > -1 ? topic.slice(0, index) : topic;
+
+        if (this.debug && topic !== 'all' && !isPattern(topic) && !this.isDefined(topic)) {
+          this.warn('Subscribing to undeclared topic "' + topic + '"');
+        }
+
+        var names = isPattern(topic) ? _.filter(_.keys(this._sticky), function (name) {
+          return compilePattern(topic).test(name);
+        }) : [topic];
+
+        _.each(names, function (name) {
+          var args = this.retained(name);
+          if (args) {
+            var event = {topic: name, args: args, meta: _.clone(this._sticky[name].meta || {})};
+            deliver(this, event, handler, isPattern(topic) ? [name] : []);
+          }
+        }, this);
+      }, this);
+
+      return this;
+    },
+
+    /* Alias of .removeListener() matching .subscribe(). */
+    unsubscribe: Events.prototype.removeListener,
+
+    /* Subscribes a handler that is removed after it is first called. Has the
+     * same signature as .subscribe(). The handler can only be removed early by
+     * unsubscribing from the topic or namespace.
+     *
+     * Examples
+     *
+     *   hub.once('app:ready', this.start, this);
+     *
+     * Returns itself.
+     */
+    once: function (topic, callback, context) {
+      var self = this;
+      function once() {
+        self.unsubscribe(topic, once);
+        return callback.apply(this, arguments);
+      }
+      return this.subscribe.apply(this, [topic, once].concat(_.rest(arguments, 2)));
+    },
+
+    /* Waits for the next event published to the topic. If the topic is sticky
+     * and has a retained value the promise resolves immediately.
+     *
+     * topic   - A topic name or pattern.
+     * options - An object of options (default: {}).
+     *           timeout: Milliseconds to wait before rejecting (default: forever).
+     *           filter:  A function called with the event arguments, the
+     *                    event is ignored unless it returns true.
+     *
+     * Examples
+     *
+     *   hub.when('app:ready', {timeout: 5000}).then(function (args) {
+     *     var config = args[0];
+     *   });
+     *
+     *   hub.when('cart:updated', {filter: function (cart) {
+     *     return cart.total > 0;
+     *   }});
+     *
+     * Returns a promise for an array of the event arguments.
+     */
+    when: function (topic, options) {
+      return waitFor(this, topic, options).promise;
+    },
+
+    /* Declares a topic as sticky. The arguments of the last publish to the
+     * topic are retained and passed to any handler subscribing afterwards.
+     *
+     * topic   - A topic name.
+     * options - An object of options (default: {}).
+     *           expires: Milliseconds to retain the value for (default: forever).
+     *
+     * Examples
+     *
+     *   hub.sticky('user:loaded');
+     *   hub.sticky('location:changed', {expires: 60000});
+     *
+     * Returns itself.
+     */
+    sticky: function (topic, options) {
+      var existing = this._sticky[topic];
+      this._sticky[topic] = {
+        args: existing ? existing.args : null,
+        published: existing ? existing.published : null,
+        expires: options && options.expires || null
+      };
+      return this;
+    },
+
+    /* Fetches the arguments retained for a sticky topic.
+     *
+     * topic - A topic name.
+     *
+     * Examples
+     *
+     *   hub.retained('user:loaded'); //=> [user]
+     *
+     * Returns an array of arguments or null if there is no value or it has
+     * expired.
+     */
+    retained: function (topic) {
+      var sticky = this._sticky[topic];
+      if (!sticky || !sticky.args) {
+        return null;
+      }
+
+      if (sticky.expires && new Date().getTime() - sticky.published >= sticky.expires) {
+        this.clearSticky(topic);
+        return null;
+      }
+      return sticky.args;
+    },
+
+    /* Clears the value retained for a sticky topic. The topic remains sticky
+     * and will retain the next published value. Calling this with no arguments
+     * clears the values of all sticky topics.
+     *
+     * topic - A topic name (optional).
+     *
+     * Examples
+     *
+     *   hub.clearSticky('user:loaded');
+     *
+     * Returns itself.
+     */
+    clearSticky: function (topic) {
+      _.each(topic ? _.pick(this._sticky, topic) : this._sticky, function (sticky) {
+        sticky.args = null;
+        sticky.published = null;
+      });
+      return this;
+    },
+
+    /* Registers a responder for requests made to a topic using hub.request().
+     * Only a single responder can be registered for each topic. Like
+     * subscribe() the topic can be suffixed with a namespace.
+     *
+     * topic   - A topic name.
+     * handler - A function that receives the request payload and returns
+     *           the response or a promise for it.
+     * context - A context for the handler (default: null).
+     *
+     * Examples
+     *
+     *   hub.reply('user:current', function (payload) {
+     *     return api.fetchUser(payload.id);
+     *   });
+     *
+     * Returns itself.
+     * Raises an Error if the topic already has a responder.
+     */
+    reply: function (topic, handler, context) {
+      var index = topic.lastIndexOf('.');
+      var name = index > -1 ? topic.slice(0, index) : topic;
+
+      if (typeof handler !== 'function') {
+        throw new Error('hub.reply() must be called with a handler function');
+      }
+      if (this._replies[name]) {
+        throw new Error('A responder is already registered for "' + name + '"');
+      }
+
+      this._replies[name] = {
+        callback: handler,
+        context: context || null,
+        namespace: index > -1 ? topic.slice(index) : null
+      };
+      return this;
+    },
+
+    /* Removes responders registered with hub.reply(). The topic can be a name,
+     * a name and namespace or just a namespace to remove all responders
+     * registered with it.
+     *
+     * topic - A topic name and/or namespace.
+     *
+     * Examples
+     *
+     *   hub.removeReply('user:current');
+     *   hub.removeReply('.hub1');
+     *
+     * Returns itself.
+     */
+    removeReply: function (topic) {
+      var index = topic.lastIndexOf('.');
+      var name = index > -1 ? topic.slice(0, index) : topic;
+      var namespace = index > -1 ? topic.slice(index) : null;
+
+      _.each(_.keys(this._replies), function (key) {
+        var responder = this._replies[key];
+        if ((!name || key === name) && (!namespace || responder.namespace === namespace)) {
+          delete this._replies[key];
+        }
+      }, this);
+      return this;
+    },
+
+    /* Makes a request to the responder registered for the topic with
+     * hub.reply(). The promise is rejected if there is no responder, if the
+     * responder throws or if it takes too long to reply.
+     *
+     * topic   - A topic name.
+     * payload - A value passed to the responder.
+     * options - An object of options (default: {}).
+     *           timeout: Milliseconds to wait, 0 to wait forever
+     *                    (default: hub.timeout).
+     *
+     * Examples
+     *
+     *   hub.request('user:current', {id: 1}).then(function (user) {
+     *     this.render(user);
+     *   }, function (error) {
+     *     this.showError(error);
+     *   });
+     *
+     * Returns a promise for the response.
+     */
+    request: function (topic, payload, options) {
+      var responder = this._replies[topic];
+      var timeout = options && options.timeout !== undefined ? options.timeout : this.timeout;
+      var timer;
+
+      var Promise = util.promise('hub.request()');
+      var promise = new Promise(function (resolve, reject) {
+        if (!responder) {
+          throw new Error('No responder is registered for "' + topic + '"');
+        }
+
+        if (timeout) {
+          timer = setTimeout(function () {
+            reject(new Error('Request for "' + topic + '" timed out after ' + timeout + 'ms'));
+          }, timeout);
+        }
+
+        // Resolve with the settled value so the timeout can still reject.
+        var response = responder.callback.call(responder.context, payload);
+        Promise.resolve(response).then(resolve, reject);
+      });
+
+      return promise.then(function (response) {
+        clearTimeout(timer);
+        return response;
+      }, function (error) {
+        clearTimeout(timer);
+        throw error;
+      });
+    },
+
+    /* Mirrors the topics provided to other windows. See HubBridge for the
+     * available options.
+     *
+     * options - An object of HubBridge options.
+     *
+     * Examples
+     *
+     *   var bridge = hub.bridge({topics: ['session:*'], channel: 'app'});
+     *   bridge.disconnect();
+     *
+     * Returns a connected HubBridge.
+     */
+    bridge: function (options) {
+      return new HubBridge(this, options).connect();
+    },
+
+    /* Declares a topic in the event catalog. Defined topics document the
+     * events in the application and when hub.debug is enabled the published
+     * arguments are validated against the schema. Topics can also be patterns
+     * to declare a family of events.
+     *
+     * topic   - A topic name or pattern.
+     * options - An object of options (default: {}).
+     *           description: A description of the event.
+     *           schema: An array with a schema for each argument, see
+     *                   validate() for the format.
+     *
+     * Examples
+     *
+     *   hub.define('cart:updated', {
+     *     description: 'Published by the cart when an item is added or removed',
+     *     schema: [{type: 'object', properties: {items: 'array', total: 'number'}}]
+     *   });
+     *
+     * Returns itself.
+     * Raises an Error if the topic has already been defined.
+     */
+    define: function (topic, options) {
+      options = options || {};
+
+      if (this._catalog[topic]) {
+        throw new Error('The topic "' + topic + '" has already been defined');
+      }
+
+      this._catalog[topic] = {
+        description: options.description || '',
+        schema: options.schema || null
+      };
       return this;
+    },
+
+    /* Checks if a topic has been defined, either by name or by a pattern.
+     *
+     * topic - A topic name.
+     *
+     * Returns true if the topic is defined.
+     */
+    isDefined: function (topic) {
+      return matchesAny(_.keys(this._catalog), topic);
+    },
+
+    /* Checks published arguments against the catalog.
+     *
+     * topic - A topic name.
+     * args  - An array of published arguments.
+     *
+     * Examples
+     *
+     *   hub.check('cart:updated', [{}]);
+     *   //=> ['"cart:updated" arguments[0].items is required', ...]
+     *
+     * Returns an array of problems, empty if the arguments are valid.
+     */
+    check: function (topic, args) {
+      if (!this.isDefined(topic)) {
+        return ['Publishing undeclared topic "' + topic + '"'];
+      }
+
+      var definition = this._catalog[topic];
+      return _.flatten(_.map(definition && definition.schema, function (schema, index) {
+        return _.map(validate(schema, args[index], 'arguments[' + index + ']'), function (error) {
+          return '"' + topic + '" ' + error;
+        });
+      }));
+    },
+
+    /* Outputs a catalog warning. In strict mode an Error is thrown instead.
+     * This can be replaced to send warnings elsewhere.
+     *
+     * message - The warning message.
+     *
+     * Returns nothing.
+     */
+    warn: function (message) {
+      if (this.strict) {
+        throw new Error(message);
+      }
+      if (window.console && window.console.warn) {
+        window.console.warn(message);
+      }
+    },
+
+    /* Lists every defined or subscribed topic along with its current
+     * subscribers. Subscribers are grouped by namespace, each ModuleMediator
+     * has its own namespace and the cid of its module.
+     *
+     * Examples
+     *
+     *   hub.topics();
+     *   //=> [{
+     *   //     topic: 'cart:updated',
+     *   //     description: 'Published by the cart...',
+     *   //     schema: [...],
+     *   //     defined: true,
+     *   //     subscribers: [{namespace: '.hub4', cid: 'cart-total:2', handlers: [fn]}]
+     *   //   }]
+     *
+     * Returns an array of topics sorted by name.
+     */
+    topics: function () {
+      var subscribed = _.filter(_.keys(this._callbacks), function (topic) {
+        return this._callbacks[topic].length > 0;
+      }, this);
+      var names = _.union(_.keys(this._catalog), subscribed);
+
+      return _.sortBy(_.map(names, function (topic) {
+        var definition = this._catalog[topic];
+        var groups = _.groupBy(this._callbacks[topic], function (handler) {
+          return handler.namespace;
+        });
+
+        return {
+          topic: topic,
+          description: definition ? definition.description : '',
+          schema: definition ? definition.schema : null,
+          defined: this.isDefined(topic),
+          subscribers: _.map(groups, function (handlers) {
+            var namespace = handlers[0].namespace;
+            var mediator = this._mediators[namespace];
+            return {
+              namespace: namespace,
+              cid: mediator ? mediator.cid : null,
+              handlers: _.pluck(handlers, 'callback')
+            };
+          }, this)
+        };
+      }, this), 'topic');
     }
-    return this.emit.apply(this, arguments);
-  };
-  hub.subscribe = hub.addListener;
-  hub.unsubscribe = hub.removeListener;
+  });
+
+  var hub = new Hub();
 
+  exports.Hub = Hub;
   exports.events = hub;
 
   /* Another events object that publishes events to a global hub. The method
@@ -73,6 +1079,9 @@ define(function (require, exports) {
    */
   exports.ModuleMediator = util.create({
 
+    /* The cid of the module the mediator belongs to */
+    cid: null,
+
     /* Creates a new instance of a ModuleMediator object.
      *
      * hub - A Broadcast instance.
@@ -82,10 +1091,17 @@ define(function (require, exports) {
     constructor: function ModuleMediator(hub) {
       this._hub = hub;
       this._namespace = _.uniqueId('.hub');
+      this._waiting = [];
+
+      // Register with the hub so errors can be traced back to the module.
+      if (hub && hub._mediators) {
+        hub._mediators[this._namespace] = this;
+      }
     },
 
     /* Publish a global event throughout the application. This method is
-     * exactly the same as the Backbone.Events#trigger() method.
+     * exactly the same as the Backbone.Events#trigger() method. The cid of
+     * the module is provided to interceptors as the "cid" metadata.
      *
      * name  - An event name.
      * *args - All following arguments are passed to handlers.
@@ -96,15 +1112,17 @@ define(function (require, exports) {
      *
      * Returns itself.
      */
-    publish: function () {
-      this._hub.publish.apply(this._hub, arguments);
+    publish: function (name/* , arguments... */) {
+      this._hub.dispatch({topic: name, args: _.rest(arguments), meta: {cid: this.cid}});
       return this;
     },
 
     /* Subscribes to a global event. The method signature is the sames as the
-     * Backbone.Events#on() method.
+     * Backbone.Events#on() method. The event name can also be a pattern,
+     * see the hub documentation for details. If the event is sticky the
+     * handler is called immediately with the last published arguments.
      *
-     * event   - An event name.
+     * event   - An event name or pattern.
      * handler - An event handler.
      * context - A context for the handler (default: this).
      *
@@ -112,6 +1130,11 @@ define(function (require, exports) {
      *
      *   this.subscribe('popover:open', this.close);
      *
+     *   // Log every module event.
+     *   this.subscribe('module:*', function (topic) {
+     *     console.log(topic);
+     *   });
+     *
      * Returns itself.
      */
     subscribe: function (name/* , fn, context */) {
@@ -146,14 +1169,340 @@ define(function (require, exports) {
       return this;
     },
 
+    /* Subscribes a handler that is removed after it is first called or when
+     * the module is torn down. Has the same signature as .subscribe().
+     *
+     * Examples
+     *
+     *   this.once('app:ready', this.start);
+     *
+     * Returns itself.
+     */
+    once: function (name/* , fn, context */) {
+      var args = _.toArray(arguments);
+
+      if (!name) {
+        throw new Error('hub.once() must be called with a name argument');
+      }
+
+      args[0] = args[0] + this._namespace;
+      this._hub.once.apply(this._hub, args);
+      return this;
+    },
+
+    /* Waits for the next event published to a topic. Has the same signature
+     * as hub.when(). If the module is torn down first the promise is left
+     * pending so that the continuation never runs, it is not rejected as
+     * nothing may be handling the rejection.
+     *
+     * Examples
+     *
+     *   this.when('user:loaded').then(_.bind(function (args) {
+     *     this.render(args[0]);
+     *   }, this));
+     *
+     * Returns a promise for an array of the event arguments.
+     */
+    when: function (name, options) {
+      if (!name) {
+        throw new Error('hub.when() must be called with a name argument');
+      }
+
+      var waiting = waitFor(this._hub, name + this._namespace, options);
+      var remove = _.bind(function () {
+        this._waiting = _.without(this._waiting, waiting);
+      }, this);
+
+      this._waiting.push(waiting);
+      waiting.promise.then(remove, remove);
+      return waiting.promise;
+    },
+
+    /* Makes a request to the responder for a topic. Has the same signature
+     * as hub.request().
+     *
+     * name    - The topic name.
+     * payload - A value passed to the responder.
+     * options - An object of options (default: {}).
+     *
+     * Examples
+     *
+     *   this.request('user:current').then(_.bind(this.render, this));
+     *
+     * Returns a promise for the response.
+     */
+    request: function (/* name, payload, options */) {
+      return this._hub.request.apply(this._hub, arguments);
+    },
+
+    /* Registers a responder for requests to a topic. The responder will be
+     * removed when the module is torn down.
+     *
+     * name    - The topic name.
+     * handler - A function that returns the response or a promise for it.
+     * context - A context for the handler (default: null).
+     *
+     * Examples
+     *
+     *   this.reply('user:current', this.currentUser, this);
+     *
+     * Returns itself.
+     */
+    reply: function (name, handler, context) {
+      if (!name) {
+        throw new Error('hub.reply() must be called with a name argument');
+      }
+
+      this._hub.reply(name + this._namespace, handler, context);
+      return this;
+    },
+
+    /* Removes a responder registered by this object. Calling this with no
+     * arguments removes all of them.
+     *
+     * name - The topic name.
+     *
+     * Examples
+     *
+     *   this.removeReply('user:current');
+     *
+     * Returns itself.
+     */
+    removeReply: function (name) {
+      this._hub.removeReply((name || '') + this._namespace);
+      return this;
+    },
+
     /* Teardown function called by the ModuleRegistry when the module is removed
      * from the document.
      */
     teardown: function () {
+      if (this._hub._mediators) {
+        delete this._hub._mediators[this._namespace];
+      }
+      _.invoke(this._waiting, 'cancel');
+      this._waiting = [];
+
+      this.removeReply();
       return this.unsubscribe();
     }
   });
 
+  /* Mirrors hub topics to other windows using either a BroadcastChannel,
+   * for other tabs on the same origin, or postMessage() for frames. Payloads
+   * are serialized as JSON and published on the hub of the receiving window.
+   * A message received on one bridge is relayed through the hub's other
+   * bridges but never sent back over the bridge it arrived on. Each message
+   * has an id and a hub ignores ids it has already seen, so windows can
+   * even be connected in a loop.
+   *
+   * Examples
+   *
+   *   // Share the session between tabs.
+   *   hub.bridge({topics: ['session:expired'], channel: 'session'});
+   *
+   *   // Share all cart events with the parent page.
+   *   hub.bridge({
+   *     topics: ['cart:**'],
+   *     target: window.parent,
+   *     origin: 'https://shop.example.com'
+   *   });
+   */
+  var HubBridge = util.create({
+
+    /* The hub the bridge publishes to and receives from */
+    hub: null,
+
+    /* An array of topic names and patterns to mirror */
+    topics: null,
+
+    /* The BroadcastChannel used to send messages */
+    channel: null,
+
+    /* The window to send messages to using postMessage() */
+    target: null,
+
+    /* The origin messages are sent to and accepted from */
+    origin: null,
+
+    /* A unique id for the bridge used to create message ids */
+    id: null,
+
+    /* The number of messages sent by the bridge */
+    count: 0,
+
+    /* The bound message event handler */
+    listener: null,
+
+    /* True if the channel was created by the bridge */
+    ownsChannel: false,
+
+    /* Creates a new bridge. It will not send or receive messages until
+     * .connect() is called.
+     *
+     * hub     - The hub to bridge.
+     * options - An object of options.
+     *           topics:  An array of topic names or patterns to mirror.
+     *           channel: A BroadcastChannel or the name for a new one.
+     *           target:  A window to post messages to if there's no channel.
+     *           origin:  The origin of the target window
+     *                    (default: window.location.origin).
+     *
+     * Raises an Error if there are no topics or nowhere to send them.
+     */
+    constructor: function HubBridge(hub, options) {
+      options = options || {};
+
+      if (!options.topics || !options.topics.length) {
+        throw new Error('HubBridge requires an array of topics');
+      }
+      if (!options.channel && !options.target) {
+        throw new Error('HubBridge requires either a channel or a target window');
+      }
+
+      this.hub = hub;
+      this.topics = options.topics;
+      this.target = options.target || null;
+      this.origin = options.origin || window.location.origin;
+      this.id = 'bridge' + Math.random().toString(36).slice(2) + new Date().getTime();
+      this.listener = _.bind(this.receive, this);
+
+      if (typeof options.channel === 'string') {
+        if (!window.BroadcastChannel) {
+          throw new Error('BroadcastChannel is not supported by this browser');
+        }
+        this.channel = new window.BroadcastChannel(options.channel);
+        this.ownsChannel = true;
+      } else {
+        this.channel = options.channel || null;
+      }
+    },
+
+    /* Starts mirroring topics and listening for messages.
+     *
+     * Returns itself.
+     */
+    connect: function () {
+      if (!_.contains(this.hub._bridges, this)) {
+        this.hub._bridges.push(this);
+        (this.channel || window).addEventListener('message', this.listener, false);
+      }
+      return this;
+    },
+
+    /* Stops mirroring topics and listening for messages. A channel created
+     * by the bridge is closed.
+     *
+     * Returns itself.
+     */
+    disconnect: function () {
+      this.hub._bridges = _.without(this.hub._bridges, this);
+      (this.channel || window).removeEventListener('message', this.listener, false);
+
+      if (this.ownsChannel) {
+        this.channel.close();
+      }
+      return this;
+    },
+
+    /* Checks if a topic is mirrored by the bridge.
+     *
+     * topic - A topic name.
+     *
+     * Returns true if the topic matches a name or pattern.
+     */
+    matches: function (topic) {
+      return matchesAny(this.topics, topic);
+    },
+
+    /* Sends a published topic to the other window. Called by hub.publish().
+     * If the arguments cannot be serialized a "bridge:error" event is
+     * emitted on the hub with the error and topic.
+     *
+     * topic - The published topic name.
+     * args  - An array of the published arguments.
+     * meta  - The event metadata, includes the message id and the id of
+     *         the bridge it arrived on if the event was received from
+     *         another window (optional).
+     *
+     * Returns true if the message was sent.
+     */
+    send: function (topic, args, meta) {
+      var id = meta && meta.bridge || this.id + ':' + (this.count += 1);
+      var message;
+
+      if (!this.matches(topic) || (meta && meta.receivedBy === this.id)) {
+        return false;
+      }
+
+      try {
+        message = JSON.stringify({type: BRIDGE_MESSAGE, id: id, topic: topic, args: args});
+      } catch (error) {
+        this.hub.emit('bridge:error', error, topic);
+        return false;
+      }
+
+      this.remember(id);
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        this.target.postMessage(message, this.origin);
+      }
+      return true;
+    },
+
+    /* Handles a message event, publishing the topic on the hub if it came
+     * from the expected window and origin and hasn't been seen before.
+     *
+     * event - A MessageEvent.
+     *
+     * Returns true if the message was published.
+     */
+    receive: function (event) {
+      var message;
+
+      if (!this.channel) {
+        if (event.source !== this.target || (this.origin !== '*' && event.origin !== this.origin)) {
+          return false;
+        }
+      }
+
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return false;
+      }
+
+      if (!message || message.type !== BRIDGE_MESSAGE || !this.matches(message.topic)) {
+        return false;
+      }
+      if (_.contains(this.hub._bridged, message.id)) {
+        return false;
+      }
+
+      this.remember(message.id);
+      this.hub.dispatch({
+        topic: message.topic,
+        args: message.args || [],
+        meta: {bridge: message.id, receivedBy: this.id}
+      });
+      return true;
+    },
+
+    /* Records the id of a bridged message so it is ignored if it comes back */
+    remember: function (id) {
+      if (_.contains(this.hub._bridged, id)) {
+        return;
+      }
+      this.hub._bridged.push(id);
+      if (this.hub._bridged.length > BRIDGE_HISTORY) {
+        this.hub._bridged.shift();
+      }
+    }
+  });
+
+  exports.HubBridge = HubBridge;
+
   libraries.add('hub', function () {
     return new exports.ModuleMediator(hub);
   });
@@ -9,42 +9,150 @@
  *   m.libraries.add('template', function () {
  *     return new Template();
  *   };
+ *
+ * The function can also return a promise, in which case modules requiring
+ * the library will not be created until it resolves.
+ *
+ *   m.libraries.add('config', function () {
+ *     return jQuery.getJSON('/config.json');
+ *   };
+ *
+ * Libraries can depend on other libraries by listing them in the "requires"
+ * option. These will be built first and passed into the function.
+ *
+ *   m.libraries.add('api', function (dependencies) {
+ *     return new Client(dependencies.http, dependencies.config);
+ *   }, {requires: ['http', 'config']});
+ *
+ * By default a new object is created for each module. The "lifetime" option
+ * allows a single object to be shared between all modules ("singleton") or
+ * all modules within the same root element ("root").
+ *
+ *   m.libraries.add('socket', function () {
+ *     return new WebSocket(url);
+ *   }, {lifetime: 'singleton'});
+ *
+ * A child registry can be created using .fork(). It inherits all items from
+ * its parent and allows them to be overridden without affecting the parent.
+ * Shared items are shared with the parent unless the child overrides one of
+ * the libraries they require, then the child builds its own.
+ *
+ *   var libraries = m.libraries.fork().add('hub', function () {
+ *     return fakeHub;
+ *   });
  */
 define(function (require, exports) {
   var util = require('lib/util');
+
+  /* Waits for any promises within the object provided to resolve.
+   *
+   * object - An object of values, any of which may be promises.
+   *
+   * Returns a promise that resolves with an object of resolved values.
+   */
+  function resolveAll(object) {
+    var keys = _.keys(object);
+    return util.promise('Asynchronous libraries').all(_.values(object)).then(function (values) {
+      return _.object(keys, values);
+    });
+  }
+
+  /* The lifetimes a library can have, ordered from shortest to longest */
+  var LIFETIMES = ['module', 'root', 'singleton'];
+
   var LibraryRegistry = util.create({
 
     /* Holds all registered library functions */
     registry: null,
 
+    /* Holds the options for each registered library function */
+    options: null,
+
+    /* Holds the shared instances of "singleton" and "root" libraries */
+    shared: null,
+
+    /* Holds the parent LibraryRegistry if created using .fork() */
+    parent: null,
+
     /* Returns a new LibraryRegistry instance.
+     *
+     * parent - A LibraryRegistry to inherit items from (optional).
      */
-    constructor: function LibraryRegistry() {
+    constructor: function LibraryRegistry(parent) {
+      this.parent = parent || null;
       this.reset();
     },
 
     /* Adds a new item to the library. This requires a name and a factory
      * function that returns a new instance or function.
      *
-     * name - The name of the item to be registered.
-     * factory - A function that returns a new instance of said item.
+     * name    - The name of the item to be registered.
+     * factory - A function that returns a new instance of said item. It
+     *           receives an object of the libraries it requires.
+     * options - An optional object of options (default: {}).
+     *           requires: An array of library names the item depends on.
+     *           lifetime: How long an instance lives, either "module" for
+     *                     a new instance per module, "root" for one per
+     *                     root element or "singleton" for a single instance
+     *                     (default: "module").
+     *
+     * Examples
+     *
+     *   libraries.add('api', function (dependencies) {
+     *     return new Client(dependencies.http);
+     *   }, {requires: ['http']});
+     *
+     *   libraries.add('store', function () {
+     *     return new Store();
+     *   }, {lifetime: 'singleton'});
      *
      * Returns itself.
      */
-    add: function (name, factory) {
-      if (this.registry[name]) {
+    add: function (name, factory, options) {
+      options = _.extend({requires: [], lifetime: 'module'}, options);
+
+      if (this.registry.hasOwnProperty(name)) {
         throw new Error('LibraryRegistry already contains an item with name: ' + name);
       }
       if (typeof factory !== 'function') {
         throw new Error('factory argument must be a function');
       }
+      if (!_.isArray(options.requires)) {
+        throw new Error('requires option must be an array of library names');
+      }
+      if (!_.contains(LIFETIMES, options.lifetime)) {
+        throw new Error('lifetime option must be one of: ' + LIFETIMES.join(', '));
+      }
       this.registry[name] = factory;
+      this.options[name] = options;
       return this;
     },
 
-    /* Resets the state of the library removing all registered items. */
+    /* Creates a child registry that inherits all of the items in this
+     * registry. Items can be added to the child to override those of the
+     * parent, this is useful for providing fake libraries in tests or
+     * separate libraries to an embedded application.
+     *
+     * Examples
+     *
+     *   var libraries = m.libraries.fork().add('api', function () {
+     *     return fakeApi;
+     *   });
+     *   var registry = new m.module.ModuleRegistry(libraries);
+     *
+     * Returns a new LibraryRegistry instance.
+     */
+    fork: function () {
+      return new LibraryRegistry(this);
+    },
+
+    /* Resets the state of the library removing all registered items. Items
+     * inherited from a parent registry are not affected.
+     */
     reset: function () {
       this.registry = {};
+      this.options = {};
+      this.shared = [];
     },
 
     /* Checks to see if the LibraryRegistry contains the specified module. This is
@@ -54,7 +162,21 @@ define(function (require, exports) {
      * Returns true if the module exists.
      */
     has: function (name) {
-      return this.registry.hasOwnProperty(name);
+      return !!this.owner(name);
+    },
+
+    /* Finds the registry that defines the item, either this registry or one
+     * of its parents.
+     *
+     * name - The name of the item.
+     *
+     * Returns a LibraryRegistry or null if not found.
+     */
+    owner: function (name) {
+      if (this.registry.hasOwnProperty(name)) {
+        return this;
+      }
+      return this.parent ? this.parent.owner(name) : null;
     },
 
     /* Fetches an item from the library.
@@ -68,11 +190,176 @@ define(function (require, exports) {
       if (!this.has(name)) {
         throw new Error(name + ' was not found in the registry');
       }
-      return this.registry[name];
+      return this.owner(name).registry[name];
     },
 
-    require: function (dependencies) {
-      return new LibraryModuleDependencies(this, dependencies);
+    /* Fetches the names of the libraries required by an item.
+     *
+     * name - The name of the item.
+     *
+     * Returns an array of library names.
+     * Raises Error if the item is not found.
+     */
+    requirements: function (name) {
+      this.get(name);
+      return this.owner(name).options[name].requires;
+    },
+
+    /* Fetches the lifetime of an item.
+     *
+     * name - The name of the item.
+     *
+     * Returns "module", "root" or "singleton".
+     * Raises Error if the item is not found.
+     */
+    lifetime: function (name) {
+      this.get(name);
+      return this.owner(name).options[name].lifetime;
+    },
+
+    /* Sorts the names provided and all of the libraries they require into
+     * the order in which they should be built, ie. each library appears
+     * after the libraries it requires. A library cannot require another
+     * with a shorter lifetime as the shared instance would outlive it.
+     *
+     * names - An array of library names.
+     *
+     * Examples
+     *
+     *   libraries.add('http', createHttp);
+     *   libraries.add('api', createApi, {requires: ['http']});
+     *   libraries.sort(['api']); //=> ['http', 'api']
+     *
+     * Returns a new array of library names.
+     * Raises Error if a library is missing, there is a circular dependency or
+     * a library requires one with a shorter lifetime.
+     */
+    sort: function (names) {
+      var sorted = [];
+
+      var visit = _.bind(function (name, path) {
+        var parent = _.last(path);
+
+        if (_.contains(path, name)) {
+          throw new Error('Circular dependency between libraries: ' + path.concat(name).join(' -> '));
+        }
+        if (!this.has(name)) {
+          throw new Error(name + ' was not found in the registry' + (parent ? ' (required by ' + parent + ')' : ''));
+        }
+        if (parent && _.indexOf(LIFETIMES, this.lifetime(name)) < _.indexOf(LIFETIMES, this.lifetime(parent))) {
+          throw new Error(parent + ' (' + this.lifetime(parent) + ') cannot require ' + name + ' (' + this.lifetime(name) + ')');
+        }
+        if (_.contains(sorted, name)) {
+          return;
+        }
+
+        _.each(this.requirements(name), function (required) {
+          visit(required, path.concat(name));
+        });
+        sorted.push(name);
+      }, this);
+
+      _.each(names, function (name) {
+        visit(name, []);
+      });
+
+      return sorted;
+    },
+
+    /* Finds the registry that holds the shared instances of an item. This is
+     * the nearest registry that defines the item or any of the libraries it
+     * requires, directly or indirectly. An inherited item is therefore shared
+     * with the parent unless the child overrides something it is built
+     * from, in which case the child builds and holds its own.
+     *
+     * name - The name of the item.
+     *
+     * Returns a LibraryRegistry.
+     */
+    holder: function (name) {
+      var chain = _.without(this.sort([name]), name).concat(name);
+      var registry = this;
+
+      while (!_.any(chain, registry.registry.hasOwnProperty, registry.registry)) {
+        registry = registry.parent;
+      }
+
+      return registry;
+    },
+
+    /* Fetches an instance of an item taking its lifetime into account.
+     * Shared instances are only created the first time they are acquired
+     * and count the number of times they have been acquired. They are held
+     * by the registry returned by .holder() so inherited items are shared
+     * with the parent unless one of their requirements is overridden.
+     *
+     * name   - The name of the item.
+     * root   - The root element of the module requesting the item.
+     * create - A function that creates a new instance of the item.
+     *
+     * Returns the instance.
+     */
+    acquire: function (name, root, create) {
+      var lifetime = this.lifetime(name);
+      if (lifetime === 'module') {
+        return create();
+      }
+
+      var holder = this.holder(name);
+      var entry = holder.findShared(name, lifetime === 'root' ? root : null);
+      if (!entry) {
+        entry = {name: name, root: lifetime === 'root' ? root : null, instance: create(), count: 0};
+        holder.shared.push(entry);
+      }
+      entry.count += 1;
+
+      return entry.instance;
+    },
+
+    /* Releases an instance acquired using .acquire().
+     *
+     * name - The name of the item.
+     * root - The root element of the module releasing the item.
+     *
+     * Returns true if this was the last reference and it should be torn down.
+     */
+    release: function (name, root) {
+      var lifetime = this.lifetime(name);
+      if (lifetime === 'module') {
+        return true;
+      }
+
+      var holder = this.holder(name);
+      var entry = holder.findShared(name, lifetime === 'root' ? root : null);
+      if (!entry) {
+        return false;
+      }
+
+      entry.count -= 1;
+      if (entry.count > 0) {
+        return false;
+      }
+
+      holder.shared = _.without(holder.shared, entry);
+      return true;
+    },
+
+    /* Finds the shared instance entry for the item and root provided */
+    findShared: function (name, root) {
+      return _.find(this.shared, function (entry) {
+        return entry.name === name && entry.root === root;
+      }) || null;
+    },
+
+    /* Creates a new LibraryModuleDependencies for the names provided.
+     *
+     * dependencies - An array of library names.
+     * root         - The root element of the module (default: document).
+     *
+     * Returns a new LibraryModuleDependencies instance.
+     */
+    require: function (dependencies, root) {
+      return new LibraryModuleDependencies(this, dependencies, root);
     }
   });
 
@@ -84,28 +371,89 @@ define(function (require, exports) {
     dependencies: null,
     library: null,
 
-    constructor: function LibraryModuleDependencies(library, dependencies) {
+    /* The names of the libraries acquired, in the order they were built.
+     * Only these are released by teardown(), so a build that throws part
+     * way doesn't release libraries it never acquired.
+     */
+    order: null,
+
+    /* The root element used to share "root" libraries */
+    root: null,
+
+    constructor: function LibraryModuleDependencies(library, dependencies, root) {
       this.instances = {};
+      this.order = [];
       this.dependencies = dependencies;
       this.library = library;
+      this.root = root || window.document;
     },
 
+    /* Builds each of the dependencies along with any libraries they require.
+     * Required libraries are built first and passed to the factory. If any
+     * of these is a promise the factory is called once they resolve.
+     *
+     * Returns an object of the requested instances.
+     * Raises Error if a library is missing or there is a circular dependency.
+     */
     build: function () {
-      _.each(this.dependencies, function (name) {
-        this.instances[name] = this.library.get(name)();
+      this.order = [];
+
+      _.each(this.library.sort(this.dependencies), function (name) {
+        var factory = this.library.get(name);
+        var required = _.pick(this.instances, this.library.requirements(name));
+
+        this.instances[name] = this.library.acquire(name, this.root, function () {
+          if (_.any(required, util.isPromise)) {
+            return resolveAll(required).then(factory);
+          }
+          return factory(required);
+        });
+        this.order.push(name);
+      }, this);
+
+      return _.pick(this.instances, this.dependencies);
+    },
+
+    /* Waits for any built instances that are promises to resolve. Each
+     * instance is replaced by its resolved value as soon as it is available
+     * so that teardown() can clean up after a partial failure.
+     *
+     * Returns a promise that resolves with an object of the requested instances.
+     * Rejects if any of the instances is rejected.
+     */
+    resolve: function () {
+      var Promise = util.promise('Asynchronous libraries');
+      var promises = _.map(this.instances, function (instance, name) {
+        return Promise.resolve(instance).then(_.bind(function (value) {
+          this.instances[name] = value;
+        }, this));
       }, this);
-      return this.instances;
+
+      return Promise.all(promises).then(_.bind(function () {
+        return _.pick(this.instances, this.dependencies);
+      }, this));
     },
 
     /* Will call teardown() on each item in the registry if present, this
      * allows them to clean up any state that may be left hanging around.
+     * Items are torn down in the reverse of the order they were built so
+     * that libraries are still available to those that require them. Shared
+     * items are only torn down once the last module using them is removed.
+     * Only the libraries acquired by build() are released, once.
      */
     teardown: function () {
-      _.each(this.instances, function (instance) {
-        if (typeof instance.teardown === 'function') {
+      var order = this.order;
+      this.order = [];
+
+      _.each(order.slice().reverse(), function (name) {
+        var instance = this.instances[name];
+        if (!this.library.release(name, this.root)) {
+          return;
+        }
+        if (instance && typeof instance.teardown === 'function') {
           instance.teardown();
         }
-      });
+      }, this);
     }
   });
 
@@ -7,15 +7,158 @@
 define(function (require, exports) {
   var dom = require('lib/dom');
   var util = require('lib/util');
-  var Events = require('lib/events').Events;
+  var events = require('lib/events');
+  var Events = events.Events;
   var libraries = require('lib/library').libraries;
 
+  // Prefix for the events used by Module#dispatch() and Module#listen().
+  var DISPATCH_PREFIX = 'dispatch:';
+
+  // Converts data attribute values for each option type of a schema, see
+  // ModuleFactory#options(). Each receives the attribute value and the rule
+  // and returns the converted value or throws describing what was expected.
+  var optionTypes = {
+    string: function (value) {
+      return value;
+    },
+    number: function (value) {
+      if (dom.$.trim(value) === '' || isNaN(Number(value))) {
+        throw new Error('expected a number');
+      }
+      return Number(value);
+    },
+    boolean: function (value) {
+      if (value === '' || value === 'true') {
+        return true;
+      }
+      if (value === 'false') {
+        return false;
+      }
+      throw new Error('expected true or false');
+    },
+    json: function (value) {
+      try {
+        return dom.$.parseJSON(value);
+      } catch (error) {
+        throw new Error('expected valid JSON');
+      }
+    },
+    'enum': function (value, rule) {
+      if (!_.contains(rule.values, value)) {
+        throw new Error('expected one of ' + rule.values.join(', '));
+      }
+      return value;
+    },
+    date: function (value) {
+      var date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error('expected a date');
+      }
+      return date;
+    }
+  };
+
+  // Describes an element for error messages, eg. <div id="cart" class="box">.
+  function describeElement(element) {
+    var description = '<' + element.nodeName.toLowerCase();
+    if (element.id) {
+      description += ' id="' + element.id + '"';
+    }
+    if (element.getAttribute('class')) {
+      description += ' class="' + element.getAttribute('class') + '"';
+    }
+    return description + '>';
+  }
+
+  // Calls the callback straight away unless one of the values is a promise,
+  // in which case it is called once they have all settled. A rejection is
+  // passed on after the callback has run so that removal still completes.
+  function whenSettled(values, callback, context) {
+    if (!_.any(values, util.isPromise)) {
+      return callback.call(context);
+    }
+
+    var Promise = util.promise('Asynchronous teardown');
+    return Promise.all(values).then(_.bind(callback, context), function (error) {
+      return Promise.resolve(callback.call(context)).then(function () {
+        throw error;
+      });
+    });
+  }
+
+  // Calls .remove() or .destroy() on the module for callers that discard
+  // the result. A rejected asynchronous teardown is passed to
+  // m.events.report() rather than being left unhandled.
+  function discardRemoval(module, method) {
+    var result = module[method]();
+    if (util.isPromise(result)) {
+      result.then(null, function (error) {
+        events.events.report(error, {topic: 'module:remove', cid: module.cid});
+      });
+    }
+  }
+
+  // Runs the removal lifecycle shared by Module#remove() and
+  // Module#destroy(). The release function detaches the module from the
+  // page once the nested modules and the module itself are torn down.
+  function removeModule(module, release) {
+    module.removed = true;
+    module.beforeRemove();
+
+    return whenSettled(_.invoke(module.children(), 'destroy'), function () {
+      return whenSettled([this.teardown()], function () {
+        release.call(this);
+        this.emit('remove', this);
+        this.afterRemove();
+        return this;
+      }, this);
+    }, module);
+  }
+
   var Module = util.inherit(Events, {
     el: null,
     $el: null,
     cid: null,
     events: null,
 
+    /* Set to true once the module has been removed from the document. */
+    removed: false,
+
+    /* The current state of the module, see .setState(). */
+    state: null,
+
+    /* The state each instance starts with, either an object or a function
+     * returning one. Usually declared with ModuleFactory#state(). The object
+     * is copied for each instance but nested values are shared, use a
+     * function to create them for each instance instead.
+     */
+    initialState: null,
+
+    /* The id of the frame requested to render state changes. */
+    renderRequest: null,
+
+    /* A template used by .render(). Either a string compiled with the
+     * .templateEngine or a function that takes data and returns markup.
+     */
+    template: null,
+
+    /* A function that compiles a template string into a function, by
+     * default _.template(). Override on a module, or on Module.prototype to
+     * change the engine for every module.
+     */
+    templateEngine: null,
+
+    /* The compiled template, cached on first render. */
+    compiledTemplate: null,
+
+    /* The nearest module instance containing this one, see .parent(). Set
+     * by the ModuleRegistry.
+     */
+    parentModule: null,
+
+    /* The module instances directly nested within this one. */
+    childModules: null,
+
     /* Initializes the Module and sets up instance variables.
      *
      * options - An object of options that matches the Backbone.View API.
@@ -32,15 +175,24 @@ define(function (require, exports) {
 
       this.el = el || document.createElement('div');
       this.$el = dom.$(this.el);
-      this.$el.on('remove', _.bind(this.remove, this));
+      this.$el.on('remove', _.bind(discardRemoval, null, this, 'remove'));
       this.events = _.clone(this.events || {});
+      this.childModules = [];
+      this.state = _.extend({}, _.result(this, 'initialState'));
       this.hub = (dependencies || {}).hub || null;
 
+      // Let the hub identify the module publishing events.
+      if (this.hub instanceof events.ModuleMediator && !this.hub.cid) {
+        this.hub.cid = this.cid;
+      }
+
       this.emit('create', options, this);
 
       this.delegateEvents(this.events);
 
+      this.beforeInitialize(dependencies || {}, options || {});
       this.initialize(dependencies || {}, options || {});
+      this.afterInitialize(dependencies || {}, options || {});
     },
 
     /* Called after the module has been initialized and in cases of deferring
@@ -65,18 +217,179 @@ define(function (require, exports) {
       return this.$el.find(selector);
     },
 
+    /* Gets the nearest module instance whose element contains this one.
+     * This is available from .run() onwards as it is set once the module
+     * has been initialized.
+     *
+     * Returns a Module or null.
+     */
+    parent: function () {
+      return this.parentModule;
+    },
+
+    /* Gets the module instances directly nested within this one in the
+     * order they were created.
+     *
+     * type - Only return modules of this type. Optional.
+     *
+     * Examples
+     *
+     *   this.children('list-item'); //=> [ListItem, ListItem]
+     *
+     * Returns an array of modules.
+     */
+    children: function (type) {
+      return _.filter(this.childModules, function (child) {
+        return !type || child.type === type;
+      });
+    },
+
+    /* Walks up the module hierarchy to find the nearest ancestor module of
+     * the type provided. The module itself is not included.
+     *
+     * type - The module type to find.
+     *
+     * Examples
+     *
+     *   this.closest('list').setState({selected: this.cid});
+     *
+     * Returns a Module or null.
+     */
+    closest: function (type) {
+      var ancestor = this.parentModule;
+      while (ancestor && ancestor.type !== type) {
+        ancestor = ancestor.parentModule;
+      }
+      return ancestor || null;
+    },
+
+    /* Dispatches an event that bubbles up through the ancestor modules,
+     * nearest first, rather than being published on the hub for the whole
+     * page. Each ancestor calls the handlers registered with .listen() with
+     * an event object followed by the arguments. A handler can call
+     * event.stopPropagation() to prevent the event reaching modules further
+     * up.
+     *
+     * name - The name of the event.
+     * args - Any further arguments are passed to the handlers.
+     *
+     * Examples
+     *
+     *   this.dispatch('item:selected', {id: 123});
+     *
+     * Returns itself.
+     */
+    dispatch: function (name) {
+      var event = {
+        type: name,
+        target: this,
+        currentTarget: null,
+        propagationStopped: false,
+        stopPropagation: function () {
+          event.propagationStopped = true;
+        }
+      };
+      var args = [DISPATCH_PREFIX + name, event].concat(_.rest(arguments));
+
+      var ancestor = this.parentModule;
+      while (ancestor && !event.propagationStopped) {
+        event.currentTarget = ancestor;
+        Events.prototype.emit.apply(ancestor, args);
+        ancestor = ancestor.parentModule;
+      }
+
+      return this;
+    },
+
+    /* Registers a handler for events dispatched by nested modules using
+     * .dispatch(). The handler is called with an event object, which has the
+     * "type", the "target" module that dispatched it and a stopPropagation()
+     * method, followed by the dispatched arguments.
+     *
+     * name    - The name of the event.
+     * handler - A function to call when the event is dispatched.
+     * context - The context for the handler (default: the module).
+     *
+     * Examples
+     *
+     *   this.listen('item:selected', function (event, item) {
+     *     event.stopPropagation();
+     *     this.setState({selected: item.id});
+     *   });
+     *
+     * Returns itself.
+     */
+    listen: function (name, handler, context) {
+      if (typeof handler !== 'function') {
+        throw new Error('module.listen() must be called with a handler function');
+      }
+      return this.addListener(DISPATCH_PREFIX + name, handler, context || this);
+    },
+
+    /* Removes a handler registered with .listen().
+     *
+     * name    - The name of the event.
+     * handler - The handler to remove. Optional, removes all if omitted.
+     *
+     * Returns itself.
+     */
+    unlisten: function (name, handler) {
+      return this.removeListener(DISPATCH_PREFIX + name, handler);
+    },
+
     /* Updates the inner HTML of the module.
-     * Publishes module:html event to rerun module.initialize on the new HTML.
+     * Emits a "replace" event before the markup is replaced so that modules
+     * nested within it can be torn down, then publishes module:update to
+     * rerun module.initialize on the new HTML.
      *
      * html - The HTML of the module
      *
      * Returns itself.
      */
     html: function (html) {
+      this.emit('replace', this);
       this.$el.html(html);
       return this.update();
     },
 
+    /* Renders the .template with the data provided and replaces the markup
+     * of the module using .html(). Modules nested in the old markup are torn
+     * down and new ones initialized. Does nothing if there is no template.
+     *
+     * data - The data for the template (default: this.state).
+     *
+     * Examples
+     *
+     *   m.module('user-card', {
+     *     template: '<h1><%- name %></h1>',
+     *     initialize: function () {
+     *       this.render({name: 'Bill'});
+     *     }
+     *   });
+     *
+     * Returns itself.
+     */
+    render: function (data) {
+      if (!this.template) {
+        return this;
+      }
+      return this.html(this.renderTemplate(arguments.length ? data : this.state));
+    },
+
+    /* Renders the .template to a string, compiling it the first time.
+     *
+     * data - The data for the template.
+     *
+     * Returns the rendered markup.
+     */
+    renderTemplate: function (data) {
+      if (!this.compiledTemplate) {
+        var engine = this.templateEngine || _.template;
+        this.compiledTemplate = typeof this.template === 'function' ? this.template : engine(this.template);
+      }
+      return this.compiledTemplate(data);
+    },
+
     /* Triggers an 'update' event to let listeners know that the content of the
      * module has changed. This should be called after any new content has
      * been added to the module.
@@ -85,6 +398,72 @@ define(function (require, exports) {
       return this.emit('update', this.$el.html(), this);
     },
 
+    /* Updates the state of the module. If any values change a "change" event
+     * is emitted with an object of the changed values, the previous state
+     * and the module. If the module has a .render() method it is called on
+     * the next animation frame, so several changes only render once.
+     *
+     * partial - An object of values to merge into the state, or a function
+     *           called with the current state that returns one.
+     *
+     * Examples
+     *
+     *   this.setState({open: true});
+     *
+     *   this.setState(function (state) {
+     *     return {count: state.count + 1};
+     *   });
+     *
+     * Returns itself.
+     */
+    setState: function (partial) {
+      if (typeof partial === 'function') {
+        partial = partial.call(this, this.state);
+      }
+
+      var previous = this.state;
+      var changes = {};
+      _.each(partial, function (value, key) {
+        if (previous[key] !== value) {
+          changes[key] = value;
+        }
+      });
+
+      if (_.isEmpty(changes)) {
+        return this;
+      }
+
+      this.state = _.extend({}, previous, changes);
+      this.requestRender();
+      return this.emit('change', changes, previous, this);
+    },
+
+    /* Schedules a call to .render() on the next animation frame, if the
+     * module has a template or its own render method and a render has not
+     * already been requested. The render is skipped if the module has been removed.
+     *
+     * Returns itself.
+     */
+    requestRender: function () {
+      var hasRender = typeof this.render === 'function' && (this.render !== Module.prototype.render || this.template);
+      if (!hasRender || this.renderRequest !== null) {
+        return this;
+      }
+
+      var requestFrame = window.requestAnimationFrame || function (callback) {
+        return setTimeout(callback, 16);
+      };
+
+      this.renderRequest = requestFrame(_.bind(function () {
+        this.renderRequest = null;
+        if (!this.removed) {
+          this.render();
+        }
+      }, this));
+
+      return this;
+    },
+
     /* Called when the module is created. Use it to setup any state that is
      * required by the module such as event hub subscriptions, templating etc.
      *
@@ -92,24 +471,82 @@ define(function (require, exports) {
      */
     initialize: function () {},
 
+    /* Called before .initialize() with the same arguments. Useful for
+     * mixins that need to prepare the module before it is set up.
+     *
+     * Returns nothing.
+     */
+    beforeInitialize: function () {},
+
+    /* Called after .initialize() with the same arguments.
+     *
+     * Returns nothing.
+     */
+    afterInitialize: function () {},
+
     /* Called when the module is removed from the document. Use it to teardown
      * any state that would persist after removal. DOM event handlers and
      * global hub handlers are cleaned up for you.
      *
-     * Returns nothing.
+     * Return a promise to delay the removal of the element and the release
+     * of the module's libraries until it resolves, for example to finish an
+     * exit animation or save a draft.
+     *
+     * Returns nothing or a promise.
      */
     teardown: function () {},
 
-    /* Extends the default remove method to trigger the "remove" event that is
-     * used internally to tidy up event handlers.
+    /* Called when the module starts to be removed or destroyed, before any
+     * nested modules are torn down.
      *
-     * Returns itself.
+     * Returns nothing.
      */
-    remove: function () {
-      this.teardown();
+    beforeRemove: function () {},
+
+    /* Called once the module has been removed or destroyed and its
+     * libraries released.
+     *
+     * Returns nothing.
+     */
+    afterRemove: function () {},
+
+    /* Tears down the module in the same way as .remove() but leaves the
+     * element in the document. This is used to disable a module without
+     * affecting the page, for example when a media query stops matching.
+     * Nested modules are destroyed first, see .remove().
+     *
+     * Returns itself or a promise if the teardown is asynchronous.
+     */
+    destroy: function () {
+      if (this.removed) {
+        return this;
+      }
+      return removeModule(this, this.undelegateEvents);
+    },
 
-      this.$el.remove();
-      return this.emit('remove', this);
+    /* Extends the default remove method to trigger the "remove" event that is
+     * used internally to tidy up event handlers. Nested modules are torn
+     * down first, deepest first and in the order they were created, without
+     * relying on the DOM library firing "remove" for nested elements.
+     *
+     * If .teardown() returns a promise, or a nested module's does, the
+     * element is left in place and the "remove" event, which releases the
+     * libraries, is delayed until it resolves. This only applies when the
+     * module is removed by calling this method, an element removed from the
+     * document by other means is already gone.
+     *
+     * Returns itself or a promise that resolves with itself if the teardown
+     * is asynchronous.
+     */
+    remove: function () {
+      // Removing the element will trigger the "remove" DOM event which calls
+      // this method again, so only tear down the module once.
+      if (this.removed) {
+        return this;
+      }
+      return removeModule(this, function () {
+        this.$el.remove();
+      });
     },
 
     /* Wraps the Events emit function to also publish the event globally if
@@ -193,6 +630,9 @@ define(function (require, exports) {
     /* An object of default options for the Module. */
     defaults: null,
 
+    /* An object of initial state for each instance of the Module. */
+    initialState: null,
+
     /* An array of dependancy names */
     dependencies: null,
 
@@ -211,6 +651,9 @@ define(function (require, exports) {
     /* The CSS selector for finding the module in the page */
     selector: null,
 
+    /* Rules for converting and validating options by name, see .options(). */
+    schema: null,
+
     /* Creates a new instance of the factory.
      *
      * In order for the .extends() method to accept strings this object
@@ -232,6 +675,8 @@ define(function (require, exports) {
       this.selector = '[' + this.namespace + ']';
       this.events = [];
       this.defaults = {};
+      this.schema = {};
+      this.initialState = {};
       this.properties = {};
       this.dependencies = ['hub'];
       this.mixin = this.methods;
@@ -272,7 +717,13 @@ define(function (require, exports) {
         /*jshint evil:false */
       }
 
-      return this.cached = (this.parent || Module).extend(cloned, {type: this.type});
+      // Merge the declared state with that of the parent module.
+      var Parent = this.parent || Module;
+      if (!_.isEmpty(this.initialState)) {
+        cloned.initialState = _.extend({}, _.result(Parent.prototype, 'initialState'), this.initialState);
+      }
+
+      return this.cached = Parent.extend(cloned, {type: this.type});
     },
 
     /* Define the parent constructor to use for the module. This can either be a
@@ -349,16 +800,71 @@ define(function (require, exports) {
     /* Define the options that should be extracted from the element's data
      * attributes. Values provided will act as defaults.
      *
+     * Options without a schema are parsed as JSON, falling back to the
+     * string. A schema gives the type of each option, which is one of
+     * "string" (the default), "number", "boolean", "json", "enum" or "date",
+     * either as a string or an object with the following properties.
+     *
+     * type     - The type of the option.
+     * values   - An array of allowed strings, required for "enum".
+     * required - If true the attribute must be present.
+     * validate - A function called with the converted value and the element,
+     *            returning false or a message if the value is invalid.
+     * coerce   - A function called with the attribute value and the element
+     *            that converts it instead of the type.
+     *
+     * If an attribute is missing or invalid the module is not created. The
+     * error is published as a "module:error" event and passed to
+     * m.events.report(), which rethrows it asynchronously unless a reporter
+     * or "error" subscriber handles it.
+     *
      * defaults - An object of key/value options.
+     * schema   - An object of rules keyed by option name (optional).
      *
      * Examples
      *
      *   module('my-module').options(limit: 5, offset: 10)
      *
+     *   module('cart').options({currency: 'GBP'}, {
+     *     id: {type: 'string', required: true},
+     *     limit: 'number',
+     *     currency: {type: 'enum', values: ['GBP', 'EUR']},
+     *     tags: {coerce: function (value) { return value.split(','); }}
+     *   });
+     *
      * Returns itself.
+     * Raises Error if a rule has an unknown type or an enum has no values.
      */
-    options: function (defaults) {
+    options: function (defaults, schema) {
       _.extend(this.defaults, defaults);
+
+      _.each(schema, function (rule, key) {
+        rule = _.extend({type: 'string'}, typeof rule === 'string' ? {type: rule} : rule);
+        if (!rule.coerce && !optionTypes.hasOwnProperty(rule.type)) {
+          throw new Error('Unknown type "' + rule.type + '" for option ' + key + ' of module ' + this.type);
+        }
+        if (rule.type === 'enum' && !rule.coerce && !_.isArray(rule.values)) {
+          throw new Error('The enum option ' + key + ' of module ' + this.type + ' requires an array of values');
+        }
+        this.schema[key] = rule;
+      }, this);
+
+      return this;
+    },
+
+    /* Define the initial state of each module instance. Values are merged
+     * with any state previously declared and that of the parent module.
+     *
+     * initial - An object of key/value state.
+     *
+     * Examples
+     *
+     *   module('dropdown').state({open: false, selected: null})
+     *
+     * Returns itself.
+     */
+    state: function (initial) {
+      _.extend(this.initialState, initial);
       return this;
     },
 
@@ -387,7 +893,9 @@ define(function (require, exports) {
 
     /* Extracts an object of data attributes from the element provided. These
      * will be merged with the this.defaults. The data attributes must be prefixed
-     * with this.namespace.
+     * with this.namespace. Options in the .schema are converted and validated,
+     * see .options(). When m.events.debug is enabled attributes that are not
+     * in the schema or defaults produce a warning.
      *
      * element - A dom element to extract data attributes from.
      *
@@ -397,16 +905,28 @@ define(function (require, exports) {
      *   factory.extract(element) //=> {limit: 5}
      *
      * Returns an object of options.
+     * Raises Error if an attribute is invalid or a required one is missing.
      */
     extract: function (element) {
       var options = {};
       var prefix = this.namespace + '-';
+      var declared = !_.isEmpty(this.schema) || !_.isEmpty(this.defaults);
 
       _.each(element.attributes, function (attr) {
         if (attr.name.indexOf(prefix) === 0) {
-          var prop = attr.name.slice(prefix.length);
+          var prop = dom.$.camelCase(attr.name.slice(prefix.length));
+          var rule = this.schema[prop];
           var value;
 
+          if (rule) {
+            options[prop] = this.coerce(element, attr.name, rule, attr.value);
+            return;
+          }
+
+          if (declared && events.events.debug && !_.has(this.defaults, prop)) {
+            events.events.warn('Unknown ' + attr.name + ' attribute for module ' + this.type + ' on ' + describeElement(element));
+          }
+
           // Attempt to parse the string as JSON. If this fails then simply use
           // the attribute value as is.
           try {
@@ -416,29 +936,87 @@ define(function (require, exports) {
             value = attr.value;
           }
 
-          options[dom.$.camelCase(prop)] = value;
+          options[prop] = value;
         }
-      });
+      }, this);
+
+      _.each(this.schema, function (rule, prop) {
+        if (rule.required && !_.has(options, prop)) {
+          var attribute = prefix + prop.replace(/[A-Z]/g, '-$&').toLowerCase();
+          throw new Error('Missing required ' + attribute + ' attribute for module ' + this.type + ' on ' + describeElement(element));
+        }
+      }, this);
 
       return _.extend({}, this.defaults, options);
     },
 
+    /* Converts and validates an attribute value using a rule from the
+     * .schema.
+     *
+     * element   - The element the attribute belongs to.
+     * attribute - The name of the attribute.
+     * rule      - The schema rule for the option.
+     * value     - The attribute value.
+     *
+     * Returns the converted value.
+     * Raises Error naming the element and module if the value is invalid.
+     */
+    coerce: function (element, attribute, rule, value) {
+      var message = 'Invalid ' + attribute + ' attribute for module ' + this.type + ' on ' + describeElement(element) + ': ';
+      var converted;
+
+      try {
+        converted = rule.coerce ? rule.coerce(value, element) : optionTypes[rule.type](value, rule);
+      } catch (error) {
+        throw new Error(message + error.message + ' but got "' + value + '"');
+      }
+
+      var result = rule.validate ? rule.validate(converted, element) : true;
+      if (result === false || typeof result === 'string') {
+        throw new Error(message + (result || 'the value "' + value + '" is not valid'));
+      }
+
+      return converted;
+    },
+
     /* Defer initialization of this module until an event (such as "click").
+     * There are also a few special events that are handled per element:
+     *
+     *   visible - Initializes the first time the element enters the viewport.
+     *   idle    - Initializes once the browser is idle.
+     *   timeout - Initializes after a delay.
+     *   media   - Initializes while a media query matches, the instance is
+     *             destroyed when it stops matching and rebuilt when it
+     *             matches again.
      *
      * options - An object of config options.
      *           on: The event to initialize on.
      *           preventDefault: If false does not call event.preventDefault().
+     *           rootMargin: Margin around the viewport for "visible" (default: "0px").
+     *           threshold: Ratio of the element that must be visible (default: 0).
+     *           timeout: Maximum time in ms to wait for "idle".
+     *           delay: Time in ms to wait for "timeout" (default: 0).
+     *           query: The media query string for "media".
      *
      * Examples
      *
      *   factory.defer({on: 'click'})
      *
+     *   // Initialize when within 200px of the viewport.
+     *   factory.defer({on: 'visible', rootMargin: '200px'})
+     *
+     *   // Initialize on desktop sized screens only.
+     *   factory.defer({on: 'media', query: '(min-width: 768px)'})
+     *
      * Returns itself.
      */
     defer: function (options) {
       if (typeof options !== 'object' || typeof options.on !== 'string') {
         throw new Error('The defer() method requires the passed object to have an "on" property');
       }
+      if (options.on === 'media' && typeof options.query !== 'string') {
+        throw new Error('The defer() method requires a "query" property for the media event');
+      }
       this.events.push(options);
       return this;
     },
@@ -464,16 +1042,62 @@ define(function (require, exports) {
     /* Holds all instances of all created views on the page. */
     instances: null,
 
+    /* Holds the MutationObserver when observing an element for changes. */
+    observer: null,
+
+    /* Holds IntersectionObserver instances used by the "visible" strategy. */
+    intersectionObservers: null,
+
+    /* Deferral strategies that are handled per element rather than delegated
+     * to the document. Maps the "on" option to a method name.
+     */
+    strategies: {
+      visible: 'deferUntilVisible',
+      idle: 'deferUntilIdle',
+      timeout: 'deferUntilTimeout',
+      media: 'deferUntilMedia'
+    },
+
+    /* Holds the elements waiting on an element level strategy by module
+     * type. Entries are dropped once the instance is removed or the element
+     * leaves the document so they can be scheduled again.
+     */
+    scheduled: null,
+
+    /* Holds instances waiting on asynchronous dependencies by module type. */
+    pending: null,
+
+    /* Holds the loaders for lazily loaded modules by module type. */
+    loaders: null,
+
+    /* The root element of the registry. Deferred events are delegated to
+     * it and it is used to share "root" libraries.
+     */
+    root: null,
+
+    /* A unique namespace for the DOM events bound by the registry. */
+    namespace: null,
+
+    /* Set to true once the registry has been destroyed. */
+    destroyed: false,
+
     /* Initialize instance variables.
      *
      * libraryRegistry - A LibraryRegistry instance.
+     * root            - The root element of the registry (default: document).
      *
      * Returns nothing.
      */
-    constructor: function ModuleRegistry(libraryRegistry) {
+    constructor: function ModuleRegistry(libraryRegistry, root) {
       this.libraryRegistry = libraryRegistry;
       this.registry  = {};
       this.instances = {};
+      this.intersectionObservers = {};
+      this.scheduled = {};
+      this.pending = {};
+      this.loaders = {};
+      this.root = root || window.document;
+      this.namespace = _.uniqueId('.registry');
     },
 
     /* The core method. This creates a new ModuleFactory and adds it to the
@@ -508,43 +1132,551 @@ define(function (require, exports) {
       return this.registry[type] || null;
     },
 
-    /* Creates a new instance of a module for the type provided */
-    create: function (type, element, options) {
-      var factory = this.find(type);
-      return this.instance(factory, element, options);
-    },
-
-    /* Initializes elements on the page immediately. */
-    initialize: function (element) {
-      _.each(this.registry, function (factory) {
-        if (factory.isDeferred()) {
-          return this.delegate(factory);
-        }
-
-        var matches = dom.$(factory.selector, element);
-        _.each(matches,  function (element) {
-          this.instance(factory, element);
-        }, this);
-      }, this);
+    /* Registers a loader for a module that should only be downloaded when a
+     * matching element is found on the page. The loader is called at most
+     * once and should either return a promise or call the callback it is
+     * passed. The loaded file can define the module itself using m.module()
+     * or resolve with an object of methods which will be used to define it.
+     *
+     * type   - The type of the module to register.
+     * loader - A function that loads the module definition.
+     *
+     * Examples
+     *
+     *   // Using dynamic imports.
+     *   module.lazy('rich-editor', function () {
+     *     return import('./modules/rich-editor');
+     *   });
+     *
+     *   // Using an AMD loader.
+     *   module.lazy('rich-editor', function (callback) {
+     *     require(['modules/rich-editor'], callback);
+     *   });
+     *
+     * Returns itself.
+     */
+    lazy: function (type, loader) {
+      if (this.find(type) || this.loaders[type]) {
+        throw new Error('Module ' + type + ' has already been registered');
+      }
+      if (typeof loader !== 'function') {
+        throw new Error('loader argument must be a function');
+      }
 
+      this.loaders[type] = {type: type, selector: '[data-' + type + ']', loader: loader, promise: null};
       return this;
     },
 
-    /* Sets up module delegation on the document */
-    delegate: function (factory) {
-      if (factory.hasDelegated === true) {
-        return;
-      }
-
-      var document = dom.$(window.document);
+    /* Loads the definition for a lazy module using its loader. If the
+     * loader fails it will be called again the next time the module is
+     * loaded.
+     *
+     * type - The type of the module to load.
+     *
+     * Returns a promise that resolves with the ModuleFactory.
+     * Raises Error if no loader has been registered for the type.
+     */
+    load: function (type) {
+      var Promise = util.promise('Lazy loading');
+      var lazy = this.loaders[type];
+
+      if (this.find(type)) {
+        return Promise.resolve(this.find(type));
+      }
+      if (!lazy) {
+        throw new Error('No loader has been registered for module ' + type);
+      }
+
+      return lazy.promise = lazy.promise || new Promise(function (resolve, reject) {
+        var result = lazy.loader(resolve);
+        if (util.isPromise(result)) {
+          result.then(resolve, reject);
+        }
+      }).then(_.bind(function (definition) {
+        // The loaded file may have defined the module itself, otherwise use
+        // the object it resolved with. ES modules provide it as "default".
+        if (!this.find(type)) {
+          definition = definition && definition['default'] || definition;
+          if (!definition || typeof definition !== 'object') {
+            throw new Error('Loader for module ' + type + ' did not provide a definition');
+          }
+          this.define(type, definition);
+        }
+        return this.find(type);
+      }, this), function (error) {
+        lazy.promise = null;
+        throw error;
+      });
+    },
+
+    /* Loads any lazy modules that have matching elements then initializes
+     * them. Failures are published as "module:error" events on the hub.
+     *
+     * findMatches - A function that takes a selector and returns the
+     *               matching elements.
+     *
+     * Returns nothing.
+     */
+    loadMatching: function (findMatches) {
+      _.each(this.loaders, function (lazy, type) {
+        if (this.find(type)) {
+          return;
+        }
+
+        var matches = findMatches(lazy.selector);
+        if (!matches.length) {
+          return;
+        }
+
+        this.load(type).then(_.bind(function (factory) {
+          if (!this.destroyed) {
+            this.initializeFactory(factory, matches);
+          }
+        }, this), function (error) {
+          events.events.publish('module:error', error, matches[0], lazy);
+        });
+      }, this);
+    },
+
+    /* Creates a new instance of a module for the type provided */
+    create: function (type, element, options) {
+      var factory = this.find(type);
+      return this.instance(factory, element, options);
+    },
+
+    /* Initializes elements on the page immediately. Lazy modules with
+     * matching elements will be loaded and initialized once available.
+     * Existing instances are run again unless they were built by this call.
+     *
+     * element - The element to search within (default: the registry root).
+     *
+     * Returns itself.
+     */
+    initialize: function (element) {
+      // Instances built during this call, such as the modules nested within
+      // one that has just been built, have already run so are skipped.
+      var existing = {};
+      _.each(this.instances, function (instances) {
+        _.each(instances, function (instance) {
+          existing[instance.cid] = true;
+        });
+      });
+
+      return this.initializeWithin(element || this.root, function (instance) {
+        return !existing[instance.cid];
+      });
+    },
+
+    /* Initializes the modules within the element, skipping elements whose
+     * instance is excluded. Lazy modules with matching elements will be
+     * loaded and initialized once available.
+     *
+     * element - The element to search within.
+     * exclude - A function called with each existing instance, returning
+     *           true if it should not be run again.
+     *
+     * Returns itself.
+     */
+    initializeWithin: function (element, exclude) {
+      // Each element is checked as it is reached as building one module
+      // may build those nested within it.
+      _.each(this.registry, function (factory) {
+        _.each(dom.$(factory.selector, element), function (match) {
+          var instance = this.findInstance(factory, match);
+          if (!instance || !exclude(instance)) {
+            this.initializeFactory(factory, [match]);
+          }
+        }, this);
+      }, this);
+
+      this.loadMatching(function (selector) {
+        return dom.$(selector, element);
+      });
+
+      return this;
+    },
+
+    /* Initializes the elements provided for a single module. Deferred modules
+     * will be delegated and scheduled rather than created.
+     *
+     * factory  - The ModuleFactory object used to create the instances.
+     * elements - An array of elements.
+     *
+     * Returns nothing.
+     */
+    initializeFactory: function (factory, elements) {
+      if (factory.isDeferred()) {
+        this.delegate(factory);
+        return _.each(elements, function (element) {
+          this.schedule(factory, element);
+        }, this);
+      }
+
+      _.each(elements,  function (element) {
+        this.instance(factory, element);
+      }, this);
+    },
+
+    /* Watches the root element for changes to the DOM using a
+     * MutationObserver. Modules will be created for any matching elements
+     * that are inserted and removed when their elements leave the document.
+     * This works independently of the DOM library so removal is also handled
+     * when using Zepto.
+     *
+     * NOTE: This does not initialize the modules already within the root,
+     * .initialize() should still be called for these.
+     *
+     * root - The element to observe (default: the registry root).
+     *
+     * Examples
+     *
+     *   m.module.initialize(document.body).observe(document.body);
+     *
+     * Returns itself.
+     * Raises Error if MutationObserver is not supported.
+     */
+    observe: function (root) {
+      var MutationObserver = window.MutationObserver || window.WebKitMutationObserver;
+      if (!MutationObserver) {
+        throw new Error('ModuleRegistry#observe() requires MutationObserver support');
+      }
+
+      this.disconnect();
+      this.observer = new MutationObserver(_.bind(this.mutationHandler, this));
+      this.observer.observe(root || this.root, {childList: true, subtree: true});
+
+      return this;
+    },
+
+    /* Stops observing the DOM for changes. Existing instances are left as is.
+     *
+     * Returns itself.
+     */
+    disconnect: function () {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+      return this;
+    },
+
+    /* Called by the MutationObserver with a batch of DOM mutations. Removed
+     * nodes are processed before added nodes so that elements moved within
+     * the document keep their existing instances.
+     */
+    mutationHandler: function (mutations) {
+      _.each(mutations, function (mutation) {
+        _.each(mutation.removedNodes, this.detach, this);
+      }, this);
+      _.each(mutations, function (mutation) {
+        _.each(mutation.addedNodes, this.attach, this);
+      }, this);
+    },
+
+    /* Creates instances for the node and all of its children that match a
+     * registered module. Elements that already have an instance are skipped.
+     *
+     * node - A DOM node that has been inserted into the document.
+     *
+     * Returns nothing.
+     */
+    attach: function (node) {
+      if (node.nodeType !== 1 || !dom.$.contains(window.document.documentElement, node)) {
+        return;
+      }
+
+      var findMatches = function (selector) {
+        var matches = _.toArray(dom.$(selector, node));
+        if (dom.$(node).is(selector)) {
+          matches.unshift(node);
+        }
+        return matches;
+      };
+
+      _.each(this.registry, function (factory) {
+        var matches = _.reject(findMatches(factory.selector), function (element) {
+          return this.findInstance(factory, element);
+        }, this);
+        this.initializeFactory(factory, matches);
+      }, this);
+
+      this.loadMatching(findMatches);
+    },
+
+    /* Removes all instances bound to the node or any of its children. Nodes
+     * that are still within the document (ie. have been moved) are skipped.
+     *
+     * node - A DOM node that has been removed from the document.
+     *
+     * Returns nothing.
+     */
+    detach: function (node) {
+      if (node.nodeType !== 1 || dom.$.contains(window.document.documentElement, node)) {
+        return;
+      }
+
+      _.each(this.instances, function (instances) {
+        _.each(instances.slice(), function (instance) {
+          if (instance.el === node || dom.$.contains(node, instance.el)) {
+            discardRemoval(instance, 'remove');
+          }
+        });
+      });
+
+      _.each(this.scheduled, function (elements, type) {
+        _.each(elements, function (element) {
+          if (element === node || dom.$.contains(node, element)) {
+            this.unschedule(this.find(type), element);
+          }
+        }, this);
+      }, this);
+    },
+
+    /* Tears down every instance created by the registry and stops listening
+     * for deferred events and changes to the DOM. The elements are left in
+     * the document. The registry should not be used once destroyed.
+     *
+     * Examples
+     *
+     *   var app = m.createApp({root: element});
+     *   app.initialize();
+     *   app.destroy();
+     *
+     * Returns itself.
+     */
+    destroy: function () {
+      this.destroyed = true;
+      this.disconnect();
+
+      dom.$(this.root).off(this.namespace);
+      _.each(this.registry, function (factory) {
+        factory.hasDelegated = false;
+      });
+
+      _.each(this.intersectionObservers, function (observer) {
+        observer.disconnect();
+      });
+      this.intersectionObservers = {};
+      this.scheduled = {};
+
+      _.each(this.instances, function (instances) {
+        _.each(instances.slice(), function (instance) {
+          discardRemoval(instance, 'destroy');
+        });
+      });
+
+      return this;
+    },
+
+    /* Sets up module delegation on the registry root */
+    delegate: function (factory) {
+      if (factory.hasDelegated === true) {
+        return;
+      }
+
+      var root = dom.$(this.root);
       _.each(factory.events, function (options) {
+        if (this.strategies[options.on]) {
+          return;
+        }
+
         var handler = _.bind(this.delegateHandler, this, factory, options);
-        document.on(options.on, factory.selector, handler);
+        root.on(options.on + this.namespace, factory.selector, handler);
       }, this);
 
       factory.hasDelegated = true;
     },
 
+    /* Sets up the element level deferral strategies such as "visible" for
+     * the element provided. Elements that already have an instance or have
+     * already been scheduled are skipped, as are factories without any
+     * element level strategies.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     *
+     * Returns nothing.
+     */
+    schedule: function (factory, element) {
+      var deferrals = _.filter(factory.events, function (options) {
+        return this.strategies[options.on];
+      }, this);
+
+      var scheduled = this.scheduled[factory.type] || [];
+      if (!deferrals.length || _.contains(scheduled, element) || this.findInstance(factory, element)) {
+        return;
+      }
+      scheduled.push(element);
+      this.scheduled[factory.type] = scheduled;
+
+      _.each(deferrals, function (options) {
+        this[this.strategies[options.on]](factory, element, options);
+      }, this);
+    },
+
+    /* Forgets that an element was scheduled and stops observing its
+     * visibility, allowing it to be scheduled again if it is re-inserted.
+     *
+     * factory - The ModuleFactory object the element was scheduled for.
+     * element - The scheduled element.
+     *
+     * Returns nothing.
+     */
+    unschedule: function (factory, element) {
+      var scheduled = _.without(this.scheduled[factory.type] || [], element);
+      if (scheduled.length) {
+        this.scheduled[factory.type] = scheduled;
+      } else {
+        delete this.scheduled[factory.type];
+      }
+
+      _.each(factory.events, function (options, index) {
+        var observer = this.intersectionObservers[factory.type + ':' + index];
+        if (observer) {
+          observer.unobserve(element);
+        }
+      }, this);
+    },
+
+    /* Initializes the module the first time the element enters the viewport.
+     * An IntersectionObserver is shared between all elements deferred with
+     * the same options. If the browser does not support IntersectionObserver
+     * the module is initialized immediately.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     * options - The options object passed to ModuleFactory#defer().
+     *
+     * Returns nothing.
+     */
+    deferUntilVisible: function (factory, element, options) {
+      var IntersectionObserver = window.IntersectionObserver;
+      if (!IntersectionObserver) {
+        return this.ensureInstance(factory, element);
+      }
+
+      var key = factory.type + ':' + _.indexOf(factory.events, options);
+      var observer = this.intersectionObservers[key];
+
+      if (!observer) {
+        observer = this.intersectionObservers[key] = new IntersectionObserver(_.bind(function (entries) {
+          _.each(entries, function (entry) {
+            if (entry.isIntersecting || entry.intersectionRatio > 0) {
+              observer.unobserve(entry.target);
+              this.ensureInstance(factory, entry.target);
+            }
+          }, this);
+        }, this), {
+          rootMargin: options.rootMargin || '0px',
+          threshold: options.threshold || 0
+        });
+      }
+
+      observer.observe(element);
+    },
+
+    /* Initializes the module once the browser is idle using
+     * requestIdleCallback(), falling back to a timeout where unsupported.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     * options - The options object passed to ModuleFactory#defer().
+     *           timeout: Maximum time in ms to wait for the browser to idle.
+     *
+     * Returns nothing.
+     */
+    deferUntilIdle: function (factory, element, options) {
+      var callback = _.bind(this.ensureScheduled, this, factory, element);
+      if (window.requestIdleCallback) {
+        window.requestIdleCallback(callback, options.timeout ? {timeout: options.timeout} : {});
+      } else {
+        setTimeout(callback, 1);
+      }
+    },
+
+    /* Initializes the module after a delay.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     * options - The options object passed to ModuleFactory#defer().
+     *           delay: Time in ms to wait before initializing (default: 0).
+     *
+     * Returns nothing.
+     */
+    deferUntilTimeout: function (factory, element, options) {
+      setTimeout(_.bind(this.ensureScheduled, this, factory, element), options.delay || 0);
+    },
+
+    /* Initializes the module while the media query matches. The instance is
+     * destroyed when the query stops matching and rebuilt when it matches
+     * again, the element itself is left in the document. If matchMedia() is
+     * unsupported the module is initialized immediately.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     * options - The options object passed to ModuleFactory#defer().
+     *           query: A media query string eg. "(min-width: 768px)".
+     *
+     * Returns nothing.
+     */
+    deferUntilMedia: function (factory, element, options) {
+      if (!window.matchMedia) {
+        return this.ensureInstance(factory, element);
+      }
+
+      var query = window.matchMedia(options.query);
+      var handler = _.bind(function () {
+        // Stop listening once the element has been removed from the page.
+        if (!dom.$.contains(window.document.documentElement, element)) {
+          return query.removeListener(handler);
+        }
+
+        var instance = this.findInstance(factory, element);
+        if (query.matches) {
+          this.ensureInstance(factory, element);
+        } else if (instance) {
+          discardRemoval(instance, 'destroy');
+        }
+      }, this);
+
+      query.addListener(handler);
+      if (query.matches) {
+        this.ensureInstance(factory, element);
+      }
+    },
+
+    /* Creates the instance for a scheduled element once its timer fires,
+     * unless the element has since been unscheduled or has left the
+     * document. The timers themselves are not cancelled.
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     *
+     * Returns the instance or null if the element is no longer scheduled.
+     */
+    ensureScheduled: function (factory, element) {
+      var scheduled = _.contains(this.scheduled[factory.type], element);
+      if (!scheduled || !dom.$.contains(window.document.documentElement, element)) {
+        return null;
+      }
+      return this.ensureInstance(factory, element);
+    },
+
+    /* Creates an instance for the element unless one already exists. Used by
+     * the deferral strategies which should not call Module#run().
+     *
+     * factory - The ModuleFactory object used to create the instance.
+     * element - The element to bind the instance to.
+     *
+     * Returns the instance.
+     */
+    ensureInstance: function (factory, element) {
+      if (this.destroyed) {
+        return null;
+      }
+      return this.findInstance(factory, element) || this.instance(factory, element);
+    },
+
     /* An event handler called each time a delegated event is triggered */
     delegateHandler: function (factory, options, event) {
       // Return early if meta key is held down, as this opens the browser
@@ -563,10 +1695,20 @@ define(function (require, exports) {
     /* Create a single instance of a Module from the ModuleFactory and element
      * provided.
      *
+     * If any of the library factories return a promise the module will not be
+     * created until all of them have resolved. In this case a promise is
+     * returned that resolves with the instance. Should a library fail to
+     * load, or the module throws while it is constructed, the "module:error"
+     * event is published on the hub and the promise resolves with null, as
+     * it does if the registry is destroyed first. Invalid options also publish "module:error" and
+     * are passed to m.events.report(), in which case null is returned.
+     *
      * factory - The ModuleFactory object used to create this instance
      * element - The element to bind this instance to
      * options - The options object to set/override module options for this instance. Optional.
      * event - The event that triggered initialization. Used when initialization is deferred.
+     *
+     * Returns the instance or a promise if the dependencies are asynchronous.
      */
     instance: function (factory, element, options, event) {
       event = event || null;
@@ -575,21 +1717,189 @@ define(function (require, exports) {
         return instance.run(event);
       }
 
-      var dependencies = this.libraryRegistry.require(factory.dependencies);
-      options = _.extend(factory.extract(element), options);
+      var pending = this.findPending(factory, element);
+      if (pending) {
+        return pending.promise;
+      }
+
+      try {
+        options = _.extend(factory.extract(element), options);
+      } catch (error) {
+        events.events.publish('module:error', error, element, factory);
+        events.events.report(error, {topic: 'module:error', element: element, type: factory.type});
+        return null;
+      }
+
+      var dependencies = this.libraryRegistry.require(factory.dependencies, this.root);
+      var built;
+      try {
+        built = dependencies.build();
+      } catch (error) {
+        // Release the libraries acquired before the one that failed.
+        dependencies.teardown();
+        throw error;
+      }
 
-      instance = factory.build().create(element, dependencies.build(), options);
+      if (_.any(built, util.isPromise)) {
+        return this.addPending(factory, element, dependencies.resolve().then(_.bind(function (built) {
+          this.removePending(factory, element);
+          // The registry was destroyed while the libraries were loading.
+          if (this.destroyed) {
+            dependencies.teardown();
+            return null;
+          }
+          return this.construct(factory, element, dependencies, built, options, event);
+        }, this)).then(null, _.bind(function (error) {
+          // Either a library failed to load or the module threw while being
+          // constructed, release the libraries unless it was created.
+          this.removePending(factory, element);
+          if (!this.findInstance(factory, element)) {
+            dependencies.teardown();
+          }
+          events.events.publish('module:error', error, element, factory);
+          return null;
+        }, this)));
+      }
+
+      return this.construct(factory, element, dependencies, built, options, event);
+    },
+
+    /* Creates the Module instance once the dependencies have been built,
+     * binds the listeners used by the registry to manage it and initializes
+     * any modules nested within its element.
+     *
+     * factory      - The ModuleFactory object used to create this instance
+     * element      - The element to bind this instance to
+     * dependencies - The LibraryModuleDependencies for the instance.
+     * built        - An object of built dependencies.
+     * options      - The options object for the instance.
+     * event        - The event that triggered initialization.
+     *
+     * Returns the new instance.
+     */
+    construct: function (factory, element, dependencies, built, options, event) {
+      var instance = factory.build().create(element, built, options);
+      instance.on('replace', _.bind(this.destroyWithin, this, element));
       instance.on('update', _.bind(this.initialize, this, element));
       instance.on('remove', _.bind(this.removeInstance, this, instance));
       instance.on('remove', _.bind(dependencies.teardown, dependencies));
 
+      this.adopt(instance);
       instance.run(event);
 
       this.addInstance(instance);
 
+      // The listeners above are bound once the constructor has returned, so
+      // markup rendered by .initialize() is not seen by the "update" event.
+      // Build any modules within the element that don't have an instance
+      // yet now that this one can be found as their parent.
+      this.initializeWithin(element, function () { return true; });
+
       return instance;
     },
 
+    /* Destroys every instance nested within the element provided. Called
+     * before a module replaces its markup so the old instances don't leak.
+     *
+     * element - The element containing the instances.
+     *
+     * Returns itself.
+     */
+    destroyWithin: function (element) {
+      _.each(this.instances, function (instances) {
+        _.each(instances.slice(), function (instance) {
+          if (instance.el !== element && dom.$.contains(element, instance.el)) {
+            discardRemoval(instance, 'destroy');
+          }
+        });
+      });
+
+      return this;
+    },
+
+    /* Links an instance into the module hierarchy. The nearest instance
+     * around its element becomes its parent and any instances within its
+     * element that were created first are moved beneath it.
+     *
+     * instance - The new Module instance.
+     *
+     * Returns itself.
+     */
+    adopt: function (instance) {
+      var parent = this.findParent(instance.el);
+      if (parent) {
+        this.setParent(instance, parent);
+      }
+
+      _.each(this.instances, function (instances) {
+        _.each(instances, function (child) {
+          var current = child.parentModule;
+          if (child.el === instance.el || !dom.$.contains(instance.el, child.el)) {
+            return;
+          }
+          if (!current || (current.el !== instance.el && dom.$.contains(current.el, instance.el))) {
+            this.setParent(child, instance);
+          }
+        }, this);
+      }, this);
+
+      return this;
+    },
+
+    /* Finds the nearest instance bound to an ancestor of the element.
+     *
+     * element - The element to search from.
+     *
+     * Returns a Module or null.
+     */
+    findParent: function (element) {
+      var node = element.parentNode;
+      while (node && node.nodeType === 1) {
+        var matches = this.lookup(node);
+        if (matches.length) {
+          return matches[0];
+        }
+        node = node.parentNode;
+      }
+      return null;
+    },
+
+    /* Moves an instance beneath a new parent, removing it from the children
+     * of its previous one.
+     */
+    setParent: function (instance, parent) {
+      if (instance.parentModule) {
+        instance.parentModule.childModules = _.without(instance.parentModule.childModules, instance);
+      }
+      instance.parentModule = parent;
+      if (parent) {
+        parent.childModules.push(instance);
+      }
+    },
+
+    /* Finds an instance waiting on asynchronous dependencies */
+    findPending: function (factory, element) {
+      return _.find(this.pending[factory.type], function (pending) {
+        return pending.el === element;
+      }) || null;
+    },
+
+    /* Adds a promise for an instance waiting on its dependencies.
+     *
+     * Returns the promise.
+     */
+    addPending: function (factory, element, promise) {
+      var pending = this.pending[factory.type] || [];
+      pending.push({el: element, promise: promise});
+      this.pending[factory.type] = pending;
+      return promise;
+    },
+
+    /* Removes a pending instance once its dependencies have settled */
+    removePending: function (factory, element) {
+      this.pending[factory.type] = _.without(this.pending[factory.type], this.findPending(factory, element));
+    },
+
     /* Finds an existing instance of a module */
     findInstance: function (factory, element) {
       return _.find(this.instances[factory.type], function (instance) {
@@ -604,10 +1914,19 @@ define(function (require, exports) {
       this.instances[instance.type] = instances;
     },
 
-    /* Removes an instance from the cache */
+    /* Removes an instance from the cache and unschedules its element */
     removeInstance: function (instance) {
       var index = this.instances[instance.type].indexOf(instance);
       this.instances[instance.type].splice(index, 1);
+      this.setParent(instance, null);
+
+      // Elements deferred until a media query matches stay scheduled while
+      // they are in the document as the query listener rebuilds the instance.
+      var factory = this.find(instance.type);
+      var inDocument = dom.$.contains(window.document.documentElement, instance.el);
+      if (factory && !(inDocument && _.findWhere(factory.events, {on: 'media'}))) {
+        this.unschedule(factory, instance.el);
+      }
     },
 
     /* Debugging tool for finding modules created on a particular element. Will
@@ -664,17 +1983,46 @@ define(function (require, exports) {
     }
   });
 
-  // Create the core module function. This is essentially a wrapper around
+  // Create a module function. This is essentially a wrapper around
   // ModuleRegistry#define(), by copying the methods onto the function we
   // get a convinient shortcut.
-  var module = (function () {
+  function createRegistry(libraryRegistry, root) {
     return _.extend(function registry() {
       return registry.define.apply(registry, arguments);
-    }, new ModuleRegistry(libraries));
-  })();
+    }, new ModuleRegistry(libraryRegistry, root));
+  }
+
+  // Create the core module function.
+  var module = createRegistry(libraries);
+
+  /* Creates an isolated application with its own module registry. Modules
+   * defined on the application will not collide with those defined on other
+   * applications or m.module(). Deferred events are delegated to the root
+   * element rather than the document.
+   *
+   * options - An object of options (default: {}).
+   *           root: The root element of the application (default: document).
+   *           libraries: A LibraryRegistry (default: m.libraries.fork()).
+   *
+   * Examples
+   *
+   *   var app = m.createApp({root: document.getElementById('app')});
+   *   app('like-button', {...});
+   *   app.initialize();
+   *
+   *   // Later remove all of the modules.
+   *   app.destroy();
+   *
+   * Returns a function with the same api as m.module().
+   */
+  function createApp(options) {
+    options = options || {};
+    return createRegistry(options.libraries || libraries.fork(), options.root);
+  }
 
   /* Export to the window */
   exports.module = module;
+  exports.createApp = createApp;
   exports.Module = Module;
   exports.ModuleFactory = ModuleFactory;
   exports.ModuleRegistry = ModuleRegistry;
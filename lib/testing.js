@@ -0,0 +1,218 @@
+/* Helpers for testing modules in isolation. m.test() mounts a single module
+ * on some HTML with fake libraries and its own hub, then records everything
+ * published on that hub. Nothing is added to m.libraries, m.module or the
+ * global m.events so tests can't leak into each other.
+ *
+ *   describe('cart', function () {
+ *     afterEach(m.test.cleanup);
+ *
+ *     it('publishes cart:add when clicked', function () {
+ *       var test = m.test('cart', {
+ *         html: '<div data-cart><button>Add</button></div>',
+ *         libraries: {api: fakeApi}
+ *       });
+ *
+ *       test.module.$('button').click();
+ *       assert.isTrue(test.wasPublished('cart:add', {id: 1}));
+ *     });
+ *   });
+ */
+define(function (require, exports) {
+  var dom = require('lib/dom');
+  var util = require('lib/util');
+  var events = require('lib/events');
+  var module = require('lib/module');
+  var libraries = require('lib/library').libraries;
+
+  /* Harnesses that have not yet been torn down */
+  var active = [];
+
+  var ModuleHarness = util.create({
+
+    /* The mounted Module instance, null until asynchronous libraries resolve. */
+    module: null,
+
+    /* The element the module is bound to. */
+    element: null,
+
+    /* The element containing the HTML, added to the document body. */
+    root: null,
+
+    /* The ModuleRegistry used to create the module. */
+    registry: null,
+
+    /* The LibraryRegistry holding the fake libraries. */
+    libraries: null,
+
+    /* The hub provided to the module through the "hub" library. */
+    hub: null,
+
+    /* An array of {topic, args} objects published on the hub. */
+    published: null,
+
+    /* A promise that resolves with the harness once asynchronous libraries
+     * have resolved and the module exists, null if it was built straight
+     * away.
+     */
+    ready: null,
+
+    /* Mounts the module described by the factory.
+     *
+     * factory - The ModuleFactory of the module to mount.
+     * options - An object of options, see m.test().
+     *
+     * Returns a new ModuleHarness instance.
+     * Raises Error if the HTML contains no element for the module.
+     */
+    constructor: function ModuleHarness(factory, options) {
+      options = options || {};
+
+      this.published = [];
+      this.hub = new events.Hub();
+      this.hub.intercept({publish: _.bind(function (event) {
+        this.published.push({topic: event.topic, args: event.args});
+      }, this)});
+
+      this.libraries = libraries.fork();
+      if (!options.libraries || !options.libraries.hub) {
+        this.libraries.add('hub', _.bind(function () {
+          return new events.ModuleMediator(this.hub);
+        }, this));
+      }
+      _.each(options.libraries, function (library, name) {
+        this.libraries.add(name, function () { return library; });
+      }, this);
+
+      this.root = document.createElement('div');
+      this.root.innerHTML = options.html || '<div ' + factory.namespace + '></div>';
+      document.body.appendChild(this.root);
+
+      this.element = dom.$(factory.selector, this.root)[0] || null;
+      if (!this.element) {
+        this.teardown();
+        throw new Error('m.test() could not find an element for module ' + factory.type + ' in the HTML');
+      }
+
+      this.registry = new module.ModuleRegistry(this.libraries, this.root);
+
+      var instance = this.registry.instance(factory, this.element, options.options);
+      if (util.isPromise(instance)) {
+        this.ready = instance.then(_.bind(function (instance) {
+          this.module = instance;
+          return this;
+        }, this));
+      } else {
+        this.module = instance;
+      }
+
+      active.push(this);
+    },
+
+    /* Finds the arguments of every event published to the topic.
+     *
+     * topic - The topic name.
+     *
+     * Examples
+     *
+     *   test.publishedTo('cart:add'); //=> [[{id: 1}], [{id: 2}]]
+     *
+     * Returns an array of argument arrays.
+     */
+    publishedTo: function (topic) {
+      return _.pluck(_.where(this.published, {topic: topic}), 'args');
+    },
+
+    /* Checks if an event was published to the topic. If further arguments
+     * are provided the event must also have been published with equal
+     * arguments, compared deeply.
+     *
+     * topic - The topic name.
+     * args  - Any further arguments are compared with the published ones.
+     *
+     * Examples
+     *
+     *   test.wasPublished('cart:add'); //=> true
+     *   test.wasPublished('cart:add', {id: 1}); //=> true
+     *
+     * Returns true if a matching event was published.
+     */
+    wasPublished: function (topic) {
+      var expected = _.rest(arguments);
+      return _.any(this.publishedTo(topic), function (args) {
+        return !expected.length || _.isEqual(args.slice(0, expected.length), expected);
+      });
+    },
+
+    /* Destroys the module and its registry and removes the HTML from the
+     * document. Called for every harness by m.test.cleanup().
+     *
+     * Returns itself.
+     */
+    teardown: function () {
+      if (this.registry) {
+        this.registry.destroy();
+      }
+      if (this.root.parentNode) {
+        this.root.parentNode.removeChild(this.root);
+      }
+      active = _.without(active, this);
+      return this;
+    }
+  });
+
+  /* Mounts a module on some HTML with fake libraries for testing. The module
+   * gets a "hub" library backed by a new hub, events published on it are
+   * recorded by the returned harness. Libraries not provided are inherited
+   * from m.libraries.
+   *
+   * type    - The module type or a ModuleFactory.
+   * options - An object of options (default: {}).
+   *           html:      The HTML to mount, the first element matching the
+   *                      module is used (default: a single element).
+   *           libraries: An object of fake libraries by name.
+   *           options:   Options for the module, overriding those extracted
+   *                      from the element.
+   *           registry:  The registry the type is defined on (default:
+   *                      m.module).
+   *
+   * Examples
+   *
+   *   var test = m.test('cart', {
+   *     html: '<div data-cart data-cart-currency="EUR"></div>',
+   *     libraries: {api: {post: sinon.stub()}}
+   *   });
+   *
+   * Returns a ModuleHarness.
+   * Raises Error if the module type has not been defined.
+   */
+  function test(type, options) {
+    options = options || {};
+
+    var factory = type;
+    if (typeof type === 'string') {
+      factory = (options.registry || module.module).find(type);
+      if (!factory) {
+        throw new Error('m.test() could not find a module with type ' + type);
+      }
+    }
+
+    return new ModuleHarness(factory, options);
+  }
+
+  /* Tears down every harness created by m.test(). Pass it to afterEach().
+   *
+   * Examples
+   *
+   *   afterEach(m.test.cleanup);
+   *
+   * Returns nothing.
+   */
+  test.cleanup = function () {
+    _.invoke(active.slice(), 'teardown');
+  };
+
+  test.ModuleHarness = ModuleHarness;
+
+  exports.test = test;
+  exports.ModuleHarness = ModuleHarness;
+});
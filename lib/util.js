@@ -6,6 +6,42 @@ define(function (require, exports, module) {
   util.create = soak.create;
   util.mixin = soak.mixin;
 
+  /* Checks to see if the object provided is a promise. Any object with a
+   * then() method is considered to be one.
+   *
+   * object - The object to check.
+   *
+   * Examples
+   *
+   *   util.isPromise(jQuery.ajax('/api')); //=> true
+   *   util.isPromise({}); //=> false
+   *
+   * Returns true if the object is a promise.
+   */
+  exports.isPromise = function isPromise(object) {
+    return !!object && typeof object.then === 'function';
+  };
+
+  /* Gets the native Promise constructor used by the asynchronous features,
+   * such as asynchronous libraries, lazy modules and hub.when(). Older
+   * browsers need a polyfill for these features.
+   *
+   * feature - The name of the feature, used in the error message.
+   *
+   * Examples
+   *
+   *   var Promise = util.promise('hub.when()');
+   *
+   * Returns window.Promise.
+   * Raises Error if the browser does not provide a Promise.
+   */
+  exports.promise = function promise(feature) {
+    if (typeof window.Promise !== 'function') {
+      throw new Error(feature + ' requires window.Promise, include a Promise polyfill to use it');
+    }
+    return window.Promise;
+  };
+
   /* Creates a new constructor function with the provided prototype and class
    * methods. New sub objects can be created using the .extend() method. The
    * only requirement is that the first object passed has a constructor
@@ -4,6 +4,7 @@ define(function (require, exports) {
   var events = require('lib/events');
   var module = require('lib/module');
   var library = require('lib/library');
+  var testing = require('lib/testing');
 
   require('lib/remove');
 
@@ -18,4 +19,10 @@ define(function (require, exports) {
 
   // m.module() && m.module.initialize();
   _.extend(exports.module, module);
+
+  // m.createApp();
+  exports.createApp = module.createApp;
+
+  // m.test() && m.test.cleanup();
+  exports.test = testing.test;
 });
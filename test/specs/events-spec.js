@@ -1,65 +1,1106 @@
 describe('m.events', function () {
   var events = m.events;
   var callbacks = events._callbacks; // Cache the original callbacks.
+  var replies = events._replies;
+  var sticky = events._sticky;
+  var catalog = events._catalog;
   var ctx = lazy({}, 'set', beforeEach);
 
   afterEach(function () {
     events._callbacks = callbacks;
+    events._replies = replies;
+    events._sticky = sticky;
+    events._pauses = [];
+    events._queue = [];
+    events.limit = Infinity;
+    events.overflow = 'drop';
+    events._interceptors = [];
+    events.reporter = null;
+    events.strict = false;
+    events._catalog = catalog;
+    events.debug = false;
   });
 
   it('is an instance of Events', function () {
     assert.instanceOf(events, m.Events);
   });
 
+  it('is an instance of Hub', function () {
+    assert.instanceOf(events, m.Hub);
+  });
+
   ctx.set('handler1', function () { return sinon.spy() });
   ctx.set('handler2', function () { return sinon.spy() });
   ctx.set('handler3', function () { return sinon.spy() });
 
-  describe('', function () {
+  describe('', function () {
+    beforeEach(function () {
+      events.subscribe('dropdown:open', ctx.handler1);
+      events.subscribe('dropdown:close', ctx.handler2);
+      events.subscribe('search:submit', ctx.handler3);
+    });
+
+    describe('.pause()', function () {
+      it('prevents events being published', function () {
+        events.pause();
+        events.publish('dropdown:open');
+        events.publish('dropdown:close');
+        events.publish('search:submit');
+
+        assert.notCalled(ctx.handler1);
+        assert.notCalled(ctx.handler2);
+        assert.notCalled(ctx.handler3);
+        events.resume();
+      });
+
+      it('allows module:** events through', function () {
+        var handler = sinon.spy();
+
+        events.subscribe('module:create', handler);
+        events.subscribe('module:dispatch:cart:add', handler);
+
+        events.pause();
+        events.publish('module:create');
+        events.publish('module:dispatch:cart:add');
+
+        assert.calledTwice(handler);
+        events.resume();
+      });
+
+      it('returns a token for the pause', function () {
+        var token = events.pause();
+        assert.isObject(token);
+        assert.deepEqual(events._pauses, [token]);
+      });
+
+      it('allows topics provided in the allow option through', function () {
+        events.pause({allow: ['dropdown:*']});
+        events.publish('dropdown:open');
+        events.publish('search:submit');
+
+        assert.called(ctx.handler1);
+        assert.notCalled(ctx.handler3);
+      });
+
+      it('only holds topics provided in the block option', function () {
+        events.pause({block: ['search:*']});
+        events.publish('dropdown:open');
+        events.publish('search:submit');
+
+        assert.called(ctx.handler1);
+        assert.notCalled(ctx.handler3);
+      });
+
+      it('drops new events once the limit is reached', function () {
+        events.limit = 2;
+        events.pause();
+        events.publish('dropdown:open');
+        events.publish('dropdown:close');
+        events.publish('search:submit');
+
+        assert.deepEqual(_.pluck(events.queued(), 'topic'), ['dropdown:open', 'dropdown:close']);
+      });
+
+      it('drops the oldest events when the overflow is "drop-oldest"', function () {
+        events.limit = 2;
+        events.overflow = 'drop-oldest';
+        events.pause();
+        events.publish('dropdown:open');
+        events.publish('dropdown:close');
+        events.publish('search:submit');
+
+        assert.deepEqual(_.pluck(events.queued(), 'topic'), ['dropdown:close', 'search:submit']);
+      });
+
+      it('keeps the latest event for each topic when the overflow is "coalesce"', function () {
+        events.overflow = 'coalesce';
+        events.pause();
+        events.publish('dropdown:open', 1);
+        events.publish('search:submit');
+        events.publish('dropdown:open', 2);
+
+        assert.deepEqual(events.queued(), [
+          {topic: 'search:submit', args: []},
+          {topic: 'dropdown:open', args: [2]}
+        ]);
+      });
+    });
+
+    describe('.resume()', function () {
+      it('republishes all cached events', function () {
+        events.pause();
+        events.publish('dropdown:open');
+        events.publish('dropdown:close');
+        events.publish('search:submit');
+        events.resume();
+
+        assert.called(ctx.handler1);
+        assert.called(ctx.handler2);
+        assert.called(ctx.handler3);
+      });
+
+      it('republishes events in the order they were published', function () {
+        events.pause();
+        events.publish('dropdown:close');
+        events.publish('dropdown:open');
+        events.resume();
+
+        assert.callOrder(ctx.handler2, ctx.handler1);
+      });
+
+      it('waits for every pause to be resumed', function () {
+        var first = events.pause();
+        var second = events.pause();
+        events.publish('dropdown:open');
+
+        events.resume(first);
+        assert.notCalled(ctx.handler1);
+
+        events.resume(second);
+        assert.calledOnce(ctx.handler1);
+      });
+
+      it('releases events no longer held by the remaining pauses', function () {
+        var first = events.pause({block: ['search:*']});
+        var second = events.pause();
+        events.publish('dropdown:open');
+        events.publish('search:submit');
+
+        events.resume(second);
+        assert.calledOnce(ctx.handler1);
+        assert.notCalled(ctx.handler3);
+        assert.deepEqual(_.pluck(events.queued(), 'topic'), ['search:submit']);
+
+        events.resume(first);
+        assert.calledOnce(ctx.handler3);
+      });
+
+      it('ignores a token that has already been resumed', function () {
+        var first = events.pause();
+        var second = events.pause();
+
+        assert.isTrue(events.resume(first));
+        assert.isFalse(events.resume(first));
+        assert.isTrue(events.isPaused());
+
+        events.resume(second);
+      });
+
+      it('resumes the most recent pause if no token is provided', function () {
+        var first = events.pause();
+        events.pause();
+        events.resume();
+
+        assert.deepEqual(events._pauses, [first]);
+        events.resume(first);
+      });
+    });
+
+    describe('.isPaused()', function () {
+      it('returns true if there are any pauses', function () {
+        assert.isFalse(events.isPaused());
+        events.pause();
+        assert.isTrue(events.isPaused());
+      });
+
+      it('returns true if the topic would be held', function () {
+        events.pause({block: ['search:*']});
+        assert.isTrue(events.isPaused('search:submit'));
+        assert.isFalse(events.isPaused('dropdown:open'));
+        assert.isFalse(events.isPaused('module:create'));
+      });
+    });
+
+    describe('.queued()', function () {
+      it('returns the held events', function () {
+        events.pause();
+        events.publish('dropdown:open', 1, 2);
+
+        assert.deepEqual(events.queued(), [{topic: 'dropdown:open', args: [1, 2]}]);
+      });
+
+      it('returns a copy of the queue', function () {
+        events.pause();
+        events.publish('dropdown:open', 1);
+        events.queued()[0].args.push(2);
+
+        assert.deepEqual(events.queued()[0].args, [1]);
+      });
+    });
+  });
+
+  describe('.subscribe()', function () {
+    it('matches a single segment with "*"', function () {
+      events.subscribe('module:*', ctx.handler1);
+      events.publish('module:create', 'a');
+      events.publish('module:create:done');
+      events.publish('dropdown:create');
+
+      assert.calledOnce(ctx.handler1);
+      assert.calledWith(ctx.handler1, 'module:create', 'a');
+    });
+
+    it('matches one or more segments with "**"', function () {
+      events.subscribe('cart:**', ctx.handler1);
+      events.publish('cart:add');
+      events.publish('cart:item:remove');
+      events.publish('cart');
+
+      assert.calledTwice(ctx.handler1);
+      assert.calledWith(ctx.handler1, 'cart:add');
+      assert.calledWith(ctx.handler1, 'cart:item:remove');
+    });
+
+    it('matches a leading wildcard', function () {
+      events.subscribe('*:open', ctx.handler1);
+      events.publish('dropdown:open');
+      events.publish('dropdown:close');
+
+      assert.calledOnce(ctx.handler1);
+      assert.calledWith(ctx.handler1, 'dropdown:open');
+    });
+
+    it('calls the handler with the provided context', function () {
+      var context = {};
+      events.subscribe('dropdown:*', ctx.handler1, context);
+      events.publish('dropdown:open');
+
+      assert.calledOn(ctx.handler1, context);
+    });
+
+    it('calls the handler once if the pattern itself is published', function () {
+      events.subscribe('dropdown:*', ctx.handler1);
+      events.publish('dropdown:*');
+
+      assert.calledOnce(ctx.handler1);
+    });
+
+    it('treats other characters in the pattern literally', function () {
+      events.subscribe('drop?down:*', ctx.handler1);
+      events.publish('dropdown:open');
+      events.publish('drodown:open');
+
+      assert.notCalled(ctx.handler1);
+    });
+  });
+
+  describe('.emit()', function () {
+    it('calls handlers subscribed to "all" with the topic', function () {
+      events.subscribe('all', ctx.handler1);
+      events.emit('dropdown:open', 1);
+
+      assert.calledWith(ctx.handler1, 'dropdown:open', 1);
+    });
+
+    it('only calls handlers with the namespace provided', function () {
+      events.subscribe('dropdown:open.a', ctx.handler1);
+      events.subscribe('dropdown:open.b', ctx.handler2);
+      events.emit('dropdown:open.a');
+
+      assert.called(ctx.handler1);
+      assert.notCalled(ctx.handler2);
+    });
+  });
+
+  describe('Events()', function () {
+    ctx.set('instance', function () {
+      return new m.Events();
+    });
+
+    beforeEach(function () {
+      events.reporter = sinon.spy();
+    });
+
+    it('calls the remaining handlers if one throws', function () {
+      var error = new Error('Failed');
+      ctx.instance.on('open', function () { throw error; });
+      ctx.instance.on('open', ctx.handler1);
+      ctx.instance.emit('open');
+
+      assert.called(ctx.handler1);
+    });
+
+    it('reports the error with the topic and handler', function () {
+      var error = new Error('Failed');
+      var handler = function () { throw error; };
+      ctx.instance.cid = 'test:1';
+      ctx.instance.on('open', handler);
+      ctx.instance.emit('open');
+
+      assert.calledWith(events.reporter, error, {
+        topic: 'open',
+        handler: handler,
+        namespace: null,
+        cid: 'test:1'
+      });
+    });
+  });
+
+  describe('Hub()', function () {
+    ctx.set('instance', function () {
+      return new m.Hub();
+    });
+
+    it('is separate from the global hub', function () {
+      events.subscribe('cart:add', ctx.handler1);
+      ctx.instance.publish('cart:add');
+
+      assert.notCalled(ctx.handler1);
+      assert.notStrictEqual(ctx.instance._catalog, events._catalog);
+    });
+
+    it('declares the built in topics', function () {
+      assert.isTrue(ctx.instance.isDefined('module:create'));
+      assert.isTrue(ctx.instance.isDefined('error'));
+    });
+
+    it('reports errors thrown by its handlers itself', function () {
+      var error = new Error('Failed');
+      events.reporter = sinon.spy();
+      ctx.instance.reporter = sinon.spy();
+      ctx.instance.subscribe('open', function () { throw error; });
+      ctx.instance.publish('open');
+
+      assert.calledWith(ctx.instance.reporter, error);
+      assert.notCalled(events.reporter);
+    });
+  });
+
+  describe('.report()', function () {
+    ctx.set('error', function () {
+      return new Error('Failed');
+    });
+
+    ctx.set('details', function () {
+      return {topic: 'dropdown:open', handler: ctx.handler1, namespace: null, cid: null};
+    });
+
+    beforeEach(function () {
+      events._callbacks = {};
+    });
+
+    it('calls the reporter if provided', function () {
+      events.reporter = sinon.spy();
+      events.subscribe('error', ctx.handler2);
+      events.report(ctx.error, ctx.details);
+
+      assert.calledWith(events.reporter, ctx.error, ctx.details);
+      assert.notCalled(ctx.handler2);
+    });
+
+    it('publishes the error on the "error" topic', function () {
+      events.subscribe('error', ctx.handler2);
+      events.report(ctx.error, ctx.details);
+
+      assert.calledWith(ctx.handler2, ctx.error, ctx.details);
+    });
+
+    it('rethrows the error asynchronously if nothing handles it', function () {
+      var clock = sinon.useFakeTimers();
+      var error = ctx.error;
+
+      try {
+        events.report(error, ctx.details);
+        assert.throws(function () {
+          clock.tick(1);
+        }, 'Failed');
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('rethrows errors thrown by "error" handlers asynchronously', function () {
+      var clock = sinon.useFakeTimers();
+      var error = ctx.error;
+
+      try {
+        events.subscribe('error', function () { throw error; });
+        events.publish('dropdown:open');
+        events.report(new Error('Original'), ctx.details);
+
+        assert.throws(function () {
+          clock.tick(1);
+        }, 'Failed');
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('rethrows the error immediately in strict mode', function () {
+      events.strict = true;
+      events.reporter = sinon.spy();
+
+      assert.throws(function () {
+        events.report(ctx.error, ctx.details);
+      }, 'Failed');
+      assert.notCalled(events.reporter);
+    });
+
+    it('is called when a subscriber throws', function () {
+      var error = ctx.error;
+      events.reporter = sinon.spy();
+      events.subscribe('dropdown:open', function () { throw error; });
+      events.subscribe('dropdown:open', ctx.handler1);
+
+      events.publish('dropdown:open');
+
+      assert.calledWith(events.reporter, error, sinon.match({topic: 'dropdown:open', cid: null}));
+      assert.called(ctx.handler1);
+    });
+
+    it('is called with the cid of the module owning the subscriber', function () {
+      var error = ctx.error;
+      var mediator = new m.ModuleMediator(events);
+      mediator.cid = 'test:1';
+
+      events.reporter = sinon.spy();
+      mediator.subscribe('dropdown:open', function () { throw error; });
+      events.publish('dropdown:open');
+
+      assert.calledWith(events.reporter, error, sinon.match({cid: 'test:1'}));
+    });
+
+    it('lets the error escape the publisher in strict mode', function () {
+      events.strict = true;
+      events.subscribe('dropdown:open', function () { throw new Error('Failed'); });
+
+      assert.throws(function () {
+        events.publish('dropdown:open');
+      }, 'Failed');
+    });
+  });
+
+  describe('.define()', function () {
+    beforeEach(function () {
+      events._catalog = {};
+    });
+
+    it('adds the topic to the catalog', function () {
+      var schema = ['string'];
+      events.define('cart:updated', {description: 'Cart changed', schema: schema});
+
+      assert.deepEqual(events._catalog['cart:updated'], {description: 'Cart changed', schema: schema});
+    });
+
+    it('throws if the topic has already been defined', function () {
+      events.define('cart:updated');
+      assert.throws(function () {
+        events.define('cart:updated');
+      }, 'The topic "cart:updated" has already been defined');
+    });
+
+    it('declares the events published by m', function () {
+      assert.isTrue(catalog.hasOwnProperty('module:*'));
+      assert.isTrue(catalog.hasOwnProperty('error'));
+      assert.isTrue(catalog.hasOwnProperty('bridge:error'));
+    });
+  });
+
+  describe('.isDefined()', function () {
+    beforeEach(function () {
+      events._catalog = {};
+      events.define('cart:updated').define('user:*');
+    });
+
+    it('returns true for defined topics and topics matching a defined pattern', function () {
+      assert.isTrue(events.isDefined('cart:updated'));
+      assert.isTrue(events.isDefined('user:loaded'));
+      assert.isFalse(events.isDefined('cart:removed'));
+    });
+  });
+
+  describe('.check()', function () {
+    function Cart() {}
+
+    beforeEach(function () {
+      events._catalog = {};
+      events.define('cart:updated', {schema: [
+        {type: 'object', properties: {total: 'number', items: {type: 'array', items: 'string'}}},
+        {type: 'string', optional: true}
+      ]});
+      events.define('cart:created', {schema: [Cart]});
+      events.define('cart:any');
+    });
+
+    it('returns an empty array for valid arguments', function () {
+      assert.deepEqual(events.check('cart:updated', [{total: 1, items: ['a']}]), []);
+      assert.deepEqual(events.check('cart:updated', [{total: 1, items: []}, 'b']), []);
+      assert.deepEqual(events.check('cart:created', [new Cart()]), []);
+      assert.deepEqual(events.check('cart:any', [1, 2]), []);
+    });
+
+    it('returns a problem for undeclared topics', function () {
+      assert.deepEqual(events.check('cart:removed', []), ['Publishing undeclared topic "cart:removed"']);
+    });
+
+    it('returns a problem for each invalid argument', function () {
+      assert.deepEqual(events.check('cart:updated', [{total: '1', items: ['a', 2]}, 3]), [
+        '"cart:updated" arguments[0].total must be of type number but was string',
+        '"cart:updated" arguments[0].items[1] must be of type string but was number',
+        '"cart:updated" arguments[1] must be of type string but was number'
+      ]);
+    });
+
+    it('returns a problem for missing arguments', function () {
+      assert.deepEqual(events.check('cart:updated', []), ['"cart:updated" arguments[0] is required']);
+    });
+
+    it('checks instances of a constructor', function () {
+      assert.deepEqual(events.check('cart:created', [{}]), ['"cart:created" arguments[0] must be an instance of Cart']);
+    });
+  });
+
+  describe('.warn()', function () {
+    it('logs the message to the console', function () {
+      var target = sinon.stub(window.console, 'warn');
+      events.warn('message');
+      target.restore();
+
+      assert.calledWith(target, 'message');
+    });
+
+    it('throws the message in strict mode', function () {
+      events.strict = true;
+      assert.throws(function () {
+        events.warn('message');
+      }, 'message');
+    });
+  });
+
+  describe('debug mode', function () {
+    ctx.set('warn');
+
+    beforeEach(function () {
+      events._catalog = {};
+      events.define('cart:updated', {schema: ['number']});
+      events.debug = true;
+      ctx.warn = sinon.stub(events, 'warn');
+    });
+
+    afterEach(function () {
+      ctx.warn.restore();
+    });
+
+    it('warns when publishing invalid arguments', function () {
+      events.publish('cart:updated', 'a');
+      assert.calledWith(ctx.warn, '"cart:updated" arguments[0] must be of type number but was string');
+    });
+
+    it('warns when publishing an undeclared topic', function () {
+      events.publish('cart:removed');
+      assert.calledWith(ctx.warn, 'Publishing undeclared topic "cart:removed"');
+    });
+
+    it('warns when subscribing to an undeclared topic', function () {
+      events.subscribe('cart:removed', ctx.handler1);
+      assert.calledWith(ctx.warn, 'Subscribing to undeclared topic "cart:removed"');
+    });
+
+    it('does not warn for valid events', function () {
+      events.subscribe('cart:updated', ctx.handler1);
+      events.publish('cart:updated', 1);
+      assert.notCalled(ctx.warn);
+    });
+
+    it('does not warn when debug is disabled', function () {
+      events.debug = false;
+      events.subscribe('cart:removed', ctx.handler1);
+      events.publish('cart:removed');
+      assert.notCalled(ctx.warn);
+    });
+  });
+
+  describe('.topics()', function () {
+    beforeEach(function () {
+      events._callbacks = {};
+      events._catalog = {};
+      events.define('cart:updated', {description: 'Cart changed', schema: ['number']});
+    });
+
+    it('lists defined and subscribed topics', function () {
+      events.subscribe('user:loaded', ctx.handler1);
+
+      assert.deepEqual(events.topics(), [{
+        topic: 'cart:updated',
+        description: 'Cart changed',
+        schema: ['number'],
+        defined: true,
+        subscribers: []
+      }, {
+        topic: 'user:loaded',
+        description: '',
+        schema: null,
+        defined: false,
+        subscribers: [{namespace: null, cid: null, handlers: [ctx.handler1]}]
+      }]);
+    });
+
+    it('groups subscribers by ModuleMediator namespace', function () {
+      var mediator = new m.ModuleMediator(events);
+      mediator.cid = 'cart-total:1';
+      mediator.subscribe('cart:updated', ctx.handler1);
+      mediator.subscribe('cart:updated', ctx.handler2);
+      events.subscribe('cart:updated', ctx.handler3);
+
+      assert.deepEqual(events.topics()[0].subscribers, [
+        {namespace: mediator._namespace, cid: 'cart-total:1', handlers: [ctx.handler1, ctx.handler2]},
+        {namespace: null, cid: null, handlers: [ctx.handler3]}
+      ]);
+    });
+
+    it('does not list topics that no longer have subscribers', function () {
+      events.subscribe('user:loaded', ctx.handler1);
+      events.unsubscribe('user:loaded', ctx.handler1);
+
+      assert.deepEqual(_.pluck(events.topics(), 'topic'), ['cart:updated']);
+    });
+  });
+
+  describe('.dispatch()', function () {
+    it('publishes the event object', function () {
+      events.subscribe('dropdown:open', ctx.handler1);
+      events.dispatch({topic: 'dropdown:open', args: [1, 2]});
+
+      assert.calledWith(ctx.handler1, 1, 2);
+    });
+
+    it('passes the event to the publish interceptors', function () {
+      var publish = sinon.spy();
+      events.intercept({publish: publish});
+      events.dispatch({topic: 'dropdown:open', args: [1], meta: {cid: 'test:1'}});
+
+      assert.calledWith(publish, {topic: 'dropdown:open', args: [1], meta: {cid: 'test:1'}});
+    });
+  });
+
+  describe('.intercept()', function () {
+    beforeEach(function () {
+      events._callbacks = {};
+      events.subscribe('dropdown:open', ctx.handler1);
+      events.subscribe('dropdown:*', ctx.handler2);
+    });
+
+    it('throws if the interceptor has no functions', function () {
+      assert.throws(function () {
+        events.intercept({});
+      }, 'hub.intercept() requires an object with a publish or deliver function');
+    });
+
+    it('calls the publish interceptors in order', function () {
+      var first = sinon.spy();
+      var second = sinon.spy();
+      events.intercept({publish: first}).intercept({publish: second});
+      events.publish('dropdown:open', 1);
+
+      assert.calledWith(first, {topic: 'dropdown:open', args: [1], meta: {}});
+      assert.callOrder(first, second);
+    });
+
+    it('allows publish interceptors to transform the arguments', function () {
+      events.intercept({publish: function (event) {
+        event.args = [event.args[0] + 1];
+      }});
+      events.publish('dropdown:open', 1);
+
+      assert.calledWith(ctx.handler1, 2);
+      assert.calledWith(ctx.handler2, 'dropdown:open', 2);
+    });
+
+    it('allows publish interceptors to veto the event', function () {
+      events.intercept({publish: function () { return false; }});
+      events.publish('dropdown:open');
+
+      assert.notCalled(ctx.handler1);
+      assert.notCalled(ctx.handler2);
+    });
+
+    it('calls the deliver interceptors for each handler', function () {
+      var deliver = sinon.spy();
+      events.intercept({deliver: deliver});
+      events.publish('dropdown:open', 1);
+
+      assert.calledTwice(deliver);
+      assert.calledWith(deliver, sinon.match({topic: 'dropdown:open', args: [1]}));
+      assert.equal(deliver.firstCall.args[1].callback, ctx.handler1);
+      assert.equal(deliver.secondCall.args[1].callback, ctx.handler2);
+    });
+
+    it('passes the metadata added when published to the deliver interceptors', function () {
+      var deliver = sinon.spy();
+      events.intercept({
+        publish: function (event) { event.meta.timestamp = 10; },
+        deliver: deliver
+      });
+      events.publish('dropdown:open');
+
+      assert.calledWith(deliver, sinon.match({meta: {timestamp: 10}}));
+    });
+
+    it('allows deliver interceptors to skip a handler', function () {
+      events.intercept({deliver: function (event, handler) {
+        return handler.callback !== ctx.handler1;
+      }});
+      events.publish('dropdown:open');
+
+      assert.notCalled(ctx.handler1);
+      assert.called(ctx.handler2);
+    });
+
+    it('allows deliver interceptors to transform the arguments for a handler', function () {
+      events.intercept({deliver: function (event, handler) {
+        if (handler.callback === ctx.handler1) {
+          event.args = ['changed'];
+        }
+      }});
+      events.publish('dropdown:open', 'original');
+
+      assert.calledWith(ctx.handler1, 'changed');
+      assert.calledWith(ctx.handler2, 'dropdown:open', 'original');
+    });
+
+    it('does not call publish interceptors again when resumed', function () {
+      var publish = sinon.spy();
+      events.intercept({publish: publish});
+
+      var token = events.pause();
+      events.publish('dropdown:open');
+      events.resume(token);
+
+      assert.calledOnce(publish);
+      assert.calledOnce(ctx.handler1);
+    });
+  });
+
+  describe('.removeInterceptor()', function () {
+    it('removes the interceptor', function () {
+      var interceptor = {publish: sinon.spy()};
+      events.intercept(interceptor).removeInterceptor(interceptor);
+      events.publish('dropdown:open');
+
+      assert.notCalled(interceptor.publish);
+    });
+  });
+
+  describe('.once()', function () {
+    it('calls the handler for the first event only', function () {
+      events.once('dropdown:open', ctx.handler1);
+      events.publish('dropdown:open', 1);
+      events.publish('dropdown:open', 2);
+
+      assert.calledOnce(ctx.handler1);
+      assert.calledWith(ctx.handler1, 1);
+    });
+
+    it('calls the handler with the context provided', function () {
+      var context = {};
+      events.once('dropdown:open', ctx.handler1, context);
+      events.publish('dropdown:open');
+
+      assert.calledOn(ctx.handler1, context);
+    });
+
+    it('can be removed by unsubscribing from the namespace', function () {
+      events.once('dropdown:open.test', ctx.handler1);
+      events.unsubscribe('.test');
+      events.publish('dropdown:open');
+
+      assert.notCalled(ctx.handler1);
+    });
+  });
+
+  describe('.when()', function () {
+    beforeEach(function () {
+      events._callbacks = {};
+    });
+
+    it('resolves with the arguments of the next event', function (done) {
+      events.when('dropdown:open').then(function (args) {
+        assert.deepEqual(args, [1, 2]);
+      }).then(done, done);
+
+      events.publish('dropdown:open', 1, 2);
+    });
+
+    it('removes the subscription once resolved', function (done) {
+      events.when('dropdown:open').then(function () {
+        assert.lengthOf(events._callbacks['dropdown:open'], 0);
+      }).then(done, done);
+
+      events.publish('dropdown:open');
+    });
+
+    it('ignores events rejected by the filter', function (done) {
+      var filter = function (value) { return value > 1; };
+
+      events.when('dropdown:open', {filter: filter}).then(function (args) {
+        assert.deepEqual(args, [2]);
+      }).then(done, done);
+
+      events.publish('dropdown:open', 1);
+      events.publish('dropdown:open', 2);
+    });
+
+    it('resolves immediately with the value of a sticky topic', function (done) {
+      events._sticky = {};
+      events.sticky('user:loaded').publish('user:loaded', 'user');
+
+      events.when('user:loaded').then(function (args) {
+        assert.deepEqual(args, ['user']);
+      }).then(done, done);
+    });
+
+    it('rejects if the event is not published before the timeout', function (done) {
+      events.when('dropdown:open', {timeout: 5}).then(function () {
+        throw new Error('Expected the promise to be rejected');
+      }, function (error) {
+        assert.equal(error.message, 'Timed out waiting for "dropdown:open" after 5ms');
+        assert.lengthOf(events._callbacks['dropdown:open'], 0);
+      }).then(done, done);
+    });
+  });
+
+  describe('.sticky()', function () {
+    beforeEach(function () {
+      events._sticky = {};
+    });
+
+    it('retains the arguments of the last publish', function () {
+      events.sticky('user:loaded');
+      events.publish('user:loaded', 'a', 1);
+      events.publish('user:loaded', 'b', 2);
+
+      assert.deepEqual(events.retained('user:loaded'), ['b', 2]);
+    });
+
+    it('calls new subscribers with the retained arguments', function () {
+      var context = {};
+      events.sticky('user:loaded');
+      events.publish('user:loaded', 'a');
+      events.subscribe('user:loaded', ctx.handler1, context);
+
+      assert.calledOnce(ctx.handler1);
+      assert.calledWith(ctx.handler1, 'a');
+      assert.calledOn(ctx.handler1, context);
+    });
+
+    it('reports errors thrown by new subscribers', function () {
+      var error = new Error('Failed');
+      var reporter = events.reporter = sinon.spy();
+      events.sticky('user:loaded');
+      events.publish('user:loaded', 'a');
+
+      events.subscribe('user:loaded.test', sinon.stub().throws(error));
+      events.unsubscribe('.test');
+      assert.calledWith(reporter, error);
+      assert.equal(reporter.firstCall.args[1].topic, 'user:loaded');
+    });
+
+    it('passes the retained event through the deliver interceptors', function () {
+      var interceptor = {deliver: sinon.stub().returns(false)};
+      events.sticky('user:loaded');
+      events.publish('user:loaded', 'a');
+      events.intercept(interceptor);
+
+      events.subscribe('user:loaded.test', ctx.handler1);
+      assert.notCalled(ctx.handler1);
+      assert.equal(interceptor.deliver.firstCall.args[0].topic, 'user:loaded');
+      assert.deepEqual(interceptor.deliver.firstCall.args[0].args, ['a']);
+      assert.equal(interceptor.deliver.firstCall.args[1].namespace, '.test');
+    });
+
+    it('does not call new subscribers before the topic is published', function () {
+      events.sticky('user:loaded');
+      events.subscribe('user:loaded', ctx.handler1);
+
+      assert.notCalled(ctx.handler1);
+    });
+
+    it('calls new pattern subscribers with the topic and retained arguments', function () {
+      events.sticky('user:loaded');
+      events.sticky('cart:loaded');
+      events.publish('user:loaded', 'a');
+      events.publish('cart:loaded', 'b');
+      events.subscribe('user:*', ctx.handler1);
+
+      assert.calledOnce(ctx.handler1);
+      assert.calledWith(ctx.handler1, 'user:loaded', 'a');
+    });
+
+    it('does not retain topics that are not sticky', function () {
+      events.publish('user:loaded', 'a');
+      events.subscribe('user:loaded', ctx.handler1);
+
+      assert.isNull(events.retained('user:loaded'));
+      assert.notCalled(ctx.handler1);
+    });
+
+    it('does not retain events published while paused until resumed', function () {
+      events.sticky('user:loaded');
+      events.pause();
+      events.publish('user:loaded', 'a');
+      assert.isNull(events.retained('user:loaded'));
+
+      events.resume();
+      assert.deepEqual(events.retained('user:loaded'), ['a']);
+    });
+
+    it('expires the value after the expires option', function () {
+      var clock = sinon.useFakeTimers();
+      events.sticky('user:loaded', {expires: 100});
+      events.publish('user:loaded', 'a');
+
+      clock.tick(99);
+      assert.deepEqual(events.retained('user:loaded'), ['a']);
+
+      clock.tick(1);
+      assert.isNull(events.retained('user:loaded'));
+      clock.restore();
+    });
+  });
+
+  describe('.clearSticky()', function () {
+    beforeEach(function () {
+      events._sticky = {};
+      events.sticky('user:loaded').sticky('cart:loaded');
+      events.publish('user:loaded', 'a');
+      events.publish('cart:loaded', 'b');
+    });
+
+    it('clears the retained value for the topic', function () {
+      events.clearSticky('user:loaded');
+
+      assert.isNull(events.retained('user:loaded'));
+      assert.deepEqual(events.retained('cart:loaded'), ['b']);
+    });
+
+    it('clears the retained values of all topics', function () {
+      events.clearSticky();
+
+      assert.isNull(events.retained('user:loaded'));
+      assert.isNull(events.retained('cart:loaded'));
+    });
+
+    it('keeps the topic sticky', function () {
+      events.clearSticky('user:loaded');
+      events.publish('user:loaded', 'c');
+
+      assert.deepEqual(events.retained('user:loaded'), ['c']);
+    });
+  });
+
+  describe('.reply()', function () {
     beforeEach(function () {
-      events.subscribe('dropdown:open', ctx.handler1);
-      events.subscribe('dropdown:close', ctx.handler2);
-      events.subscribe('search:submit', ctx.handler3);
+      events._replies = {};
     });
 
-    describe('.pause()', function () {
-      it('prevents events being published', function () {
-        events.pause();
-        events.publish('dropdown:open');
-        events.publish('dropdown:close');
-        events.publish('search:submit');
+    it('registers a responder for the topic', function () {
+      events.reply('user:current', ctx.handler1);
+      assert.equal(events._replies['user:current'].callback, ctx.handler1);
+    });
 
-        assert.notCalled(ctx.handler1);
-        assert.notCalled(ctx.handler2);
-        assert.notCalled(ctx.handler3);
-        events.resume();
+    it('throws if the topic already has a responder', function () {
+      events.reply('user:current', ctx.handler1);
+      assert.throws(function () {
+        events.reply('user:current', ctx.handler2);
+      }, 'A responder is already registered for "user:current"');
+    });
+
+    it('throws if the handler is not a function', function () {
+      assert.throws(function () {
+        events.reply('user:current');
+      }, 'hub.reply() must be called with a handler function');
+    });
+  });
+
+  describe('.removeReply()', function () {
+    beforeEach(function () {
+      events._replies = {};
+      events.reply('user:current.a', ctx.handler1);
+      events.reply('user:list.a', ctx.handler2);
+      events.reply('cart:current.b', ctx.handler3);
+    });
+
+    it('removes the responder for the topic', function () {
+      events.removeReply('user:current');
+      assert.deepEqual(_.keys(events._replies), ['user:list', 'cart:current']);
+    });
+
+    it('removes all responders for a namespace', function () {
+      events.removeReply('.a');
+      assert.deepEqual(_.keys(events._replies), ['cart:current']);
+    });
+
+    it('does not remove responders with a different namespace', function () {
+      events.removeReply('cart:current.a');
+      assert.deepEqual(_.keys(events._replies), ['user:current', 'user:list', 'cart:current']);
+    });
+  });
+
+  describe('.request()', function () {
+    beforeEach(function () {
+      events._replies = {};
+    });
+
+    it('resolves with the value returned by the responder', function (done) {
+      events.reply('user:current', function (payload) {
+        return {id: payload.id};
       });
 
-      it('allows module:* events through', function () {
-        var handler = sinon.spy();
+      events.request('user:current', {id: 1}).then(function (user) {
+        assert.deepEqual(user, {id: 1});
+      }).then(done, done);
+    });
 
-        events.subscribe('module:create', handler);
+    it('calls the responder with the provided context', function (done) {
+      var context = {};
+      events.reply('user:current', ctx.handler1, context);
 
-        events.pause();
-        events.publish('module:create');
+      events.request('user:current').then(function () {
+        assert.calledOn(ctx.handler1, context);
+      }).then(done, done);
+    });
 
-        assert.called(handler);
-        events.resume();
+    it('resolves with the value of a promise returned by the responder', function (done) {
+      events.reply('user:current', function () {
+        return window.Promise.resolve('user');
       });
+
+      events.request('user:current').then(function (user) {
+        assert.equal(user, 'user');
+      }).then(done, done);
     });
 
-    describe('.resume()', function () {
-      it('republishes all cached events', function () {
-        events.pause();
-        events.publish('dropdown:open');
-        events.publish('dropdown:close');
-        events.publish('search:submit');
-        events.resume();
+    it('rejects if the responder throws', function (done) {
+      var error = new Error('Failed');
+      events.reply('user:current', function () {
+        throw error;
+      });
 
-        assert.called(ctx.handler1);
-        assert.called(ctx.handler2);
-        assert.called(ctx.handler3);
+      events.request('user:current').then(function () {
+        throw new Error('Expected the request to be rejected');
+      }, function (err) {
+        assert.equal(err, error);
+      }).then(done, done);
+    });
+
+    it('rejects if there is no responder', function (done) {
+      events.request('user:current').then(function () {
+        throw new Error('Expected the request to be rejected');
+      }, function (err) {
+        assert.equal(err.message, 'No responder is registered for "user:current"');
+      }).then(done, done);
+    });
+
+    it('rejects if the responder takes too long', function (done) {
+      events.reply('user:current', function () {
+        return new window.Promise(function () {});
       });
+
+      events.request('user:current', null, {timeout: 5}).then(function () {
+        throw new Error('Expected the request to be rejected');
+      }, function (err) {
+        assert.equal(err.message, 'Request for "user:current" timed out after 5ms');
+      }).then(done, done);
     });
   });
 
@@ -87,6 +1128,16 @@ describe('m.events', function () {
           assert.calledWith.apply(assert, [spy].concat(args.slice(1)));
         }, ctx);
       });
+
+      it('provides the module cid as metadata', function () {
+        var publish = sinon.spy();
+        events.intercept({publish: publish});
+
+        ctx.instance.cid = 'test:1';
+        ctx.instance.publish('dropdown:open');
+
+        assert.calledWith(publish, sinon.match({meta: {cid: 'test:1'}}));
+      });
     });
 
     describe('.subscribe()', function () {
@@ -109,6 +1160,24 @@ describe('m.events', function () {
         assert.calledOn(handler, context);
       });
 
+      it('registers a handler for a pattern', function () {
+        var handler = sinon.spy();
+        ctx.instance.subscribe('dropdown:*', handler);
+
+        events.publish('dropdown:open', 'a');
+
+        assert.calledWith(handler, 'dropdown:open', 'a');
+      });
+
+      it('calls the handler with the value of a sticky event', function () {
+        var handler = sinon.spy();
+        events._sticky = {};
+        events.sticky('user:loaded').publish('user:loaded', 'a');
+        ctx.instance.subscribe('user:loaded', handler);
+
+        assert.calledWith(handler, 'a');
+      });
+
       it('allows the context to be falsy', function () {
         var handler = sinon.spy();
         ctx.instance.subscribe('dropdown:open', handler, null);
@@ -171,6 +1240,15 @@ describe('m.events', function () {
         assert.notCalled(ctx.handler3);
       });
 
+      it('removes listeners registered for a pattern', function () {
+        ctx.instance.subscribe('dropdown:*', ctx.handler3);
+        ctx.instance.teardown();
+
+        events.publish('dropdown:open');
+
+        assert.notCalled(ctx.handler3);
+      });
+
       it('does not remove other listeners from other modules', function () {
         ctx.handler3 = sinon.spy();
         events.subscribe('dropdown:open', ctx.handler3);
@@ -186,6 +1264,442 @@ describe('m.events', function () {
     });
   });
 
+  describe('ModuleHub() one-shot subscriptions', function () {
+    ctx.set('instance', function () {
+      return new m.ModuleMediator(events);
+    });
+
+    describe('.once()', function () {
+      it('calls the handler for the first event only', function () {
+        ctx.instance.once('dropdown:open', ctx.handler1);
+        events.publish('dropdown:open');
+        events.publish('dropdown:open');
+
+        assert.calledOnce(ctx.handler1);
+      });
+
+      it('is removed when torn down', function () {
+        ctx.instance.once('dropdown:open', ctx.handler1);
+        ctx.instance.teardown();
+        events.publish('dropdown:open');
+
+        assert.notCalled(ctx.handler1);
+      });
+
+      it('throws if no name is provided', function () {
+        assert.throws(function () {
+          ctx.instance.once('', ctx.handler1);
+        }, 'hub.once() must be called with a name argument');
+      });
+    });
+
+    describe('.when()', function () {
+      it('resolves with the arguments of the next event', function (done) {
+        ctx.instance.when('dropdown:open').then(function (args) {
+          assert.deepEqual(args, ['a']);
+        }).then(done, done);
+
+        events.publish('dropdown:open', 'a');
+      });
+
+      it('leaves the promise pending when torn down so the continuation never runs', function (done) {
+        var continuation = sinon.spy();
+        var rejected = sinon.spy();
+
+        ctx.instance.when('dropdown:open').then(continuation, rejected);
+        ctx.instance.teardown();
+        events.publish('dropdown:open');
+
+        setTimeout(function () {
+          assert.notCalled(continuation);
+          assert.notCalled(rejected);
+          done();
+        }, 0);
+      });
+
+      it('does not cause an unhandled rejection when torn down', function (done) {
+        var unhandled = sinon.spy();
+        window.addEventListener('unhandledrejection', unhandled);
+
+        ctx.instance.when('dropdown:open');
+        ctx.instance.teardown();
+
+        setTimeout(function () {
+          window.removeEventListener('unhandledrejection', unhandled);
+          assert.notCalled(unhandled);
+          done();
+        }, 10);
+      });
+
+      it('stops waiting when torn down', function () {
+        var instance = ctx.instance;
+        instance.when('dropdown:open', {timeout: 10});
+        instance.teardown();
+        assert.lengthOf(instance._waiting, 0);
+        assert.notOk(_.findWhere(events._callbacks['dropdown:open'], {namespace: instance._namespace}));
+      });
+
+      it('stops tracking the promise once settled', function (done) {
+        var instance = ctx.instance;
+        instance.when('dropdown:open').then(function () {
+          assert.lengthOf(instance._waiting, 0);
+        }).then(done, done);
+
+        events.publish('dropdown:open');
+      });
+
+      it('throws if no name is provided', function () {
+        assert.throws(function () {
+          ctx.instance.when('');
+        }, 'hub.when() must be called with a name argument');
+      });
+    });
+  });
+
+  describe('ModuleHub() responders', function () {
+    ctx.set('instance', function () {
+      return new m.ModuleMediator(events);
+    });
+
+    beforeEach(function () {
+      events._replies = {};
+    });
+
+    describe('.request()', function () {
+      it('makes a request on the events object', function () {
+        var target = sinon.stub(events, 'request');
+        ctx.instance.request('user:current', 1, {timeout: 1});
+        target.restore();
+
+        assert.calledWith(target, 'user:current', 1, {timeout: 1});
+      });
+    });
+
+    describe('.reply()', function () {
+      it('registers a responder on the events object', function (done) {
+        ctx.instance.reply('user:current', function () { return 'user'; });
+
+        events.request('user:current').then(function (user) {
+          assert.equal(user, 'user');
+        }).then(done, done);
+      });
+
+      it('throws if no name is provided', function () {
+        assert.throws(function () {
+          ctx.instance.reply('', ctx.handler1);
+        }, 'hub.reply() must be called with a name argument');
+      });
+    });
+
+    describe('.removeReply()', function () {
+      it('removes a responder registered by the object', function () {
+        ctx.instance.reply('user:current', ctx.handler1);
+        ctx.instance.removeReply('user:current');
+        assert.isUndefined(events._replies['user:current']);
+      });
+
+      it('does not remove responders registered by others', function () {
+        events.reply('user:current', ctx.handler1);
+        ctx.instance.removeReply('user:current');
+        assert.ok(events._replies['user:current']);
+      });
+    });
+
+    describe('.teardown()', function () {
+      it('unregisters the object from the hub', function () {
+        var instance = ctx.instance;
+        assert.equal(events._mediators[instance._namespace], instance);
+
+        instance.teardown();
+        assert.isUndefined(events._mediators[instance._namespace]);
+      });
+
+      it('removes all responders registered by the object', function () {
+        ctx.instance.reply('user:current', ctx.handler1);
+        ctx.instance.reply('user:list', ctx.handler2);
+        events.reply('cart:current', ctx.handler3);
+        ctx.instance.teardown();
+
+        assert.deepEqual(_.keys(events._replies), ['cart:current']);
+      });
+    });
+  });
+
+  describe('HubBridge()', function () {
+    var bridges = events._bridges;
+    var bridged = events._bridged;
+
+    ctx.set('channel', function () {
+      return {
+        postMessage: sinon.spy(),
+        addEventListener: sinon.spy(),
+        removeEventListener: sinon.spy(),
+        close: sinon.spy()
+      };
+    });
+
+    ctx.set('options', function () {
+      return {topics: ['session:expired', 'cart:*'], channel: ctx.channel};
+    });
+
+    ctx.set('instance', function () {
+      return new m.HubBridge(events, ctx.options);
+    });
+
+    ctx.set('message', function () {
+      return {type: 'm:hub', id: 'other:1', topic: 'cart:updated', args: [{total: 1}]};
+    });
+
+    beforeEach(function () {
+      events._bridges = [];
+      events._bridged = [];
+    });
+
+    afterEach(function () {
+      events._bridges = bridges;
+      events._bridged = bridged;
+    });
+
+    it('throws if no topics are provided', function () {
+      assert.throws(function () {
+        return new m.HubBridge(events, {channel: ctx.channel});
+      }, 'HubBridge requires an array of topics');
+    });
+
+    it('throws if there is no channel or target', function () {
+      assert.throws(function () {
+        return new m.HubBridge(events, {topics: ['a']});
+      }, 'HubBridge requires either a channel or a target window');
+    });
+
+    it('creates a BroadcastChannel if a channel name is provided', function () {
+      var original = window.BroadcastChannel;
+      window.BroadcastChannel = sinon.spy();
+
+      try {
+        ctx.options.channel = 'app';
+        assert.instanceOf(ctx.instance.channel, window.BroadcastChannel);
+        assert.calledWithNew(window.BroadcastChannel);
+        assert.calledWith(window.BroadcastChannel, 'app');
+      } finally {
+        window.BroadcastChannel = original;
+      }
+    });
+
+    it('throws if BroadcastChannel is unsupported', function () {
+      var original = window.BroadcastChannel;
+      window.BroadcastChannel = undefined;
+
+      try {
+        assert.throws(function () {
+          return new m.HubBridge(events, {topics: ['a'], channel: 'app'});
+        }, 'BroadcastChannel is not supported by this browser');
+      } finally {
+        window.BroadcastChannel = original;
+      }
+    });
+
+    describe('.connect()', function () {
+      it('adds the bridge to the hub', function () {
+        ctx.instance.connect();
+        assert.deepEqual(events._bridges, [ctx.instance]);
+      });
+
+      it('listens for messages on the channel', function () {
+        ctx.instance.connect();
+        assert.calledWith(ctx.channel.addEventListener, 'message', ctx.instance.listener);
+      });
+
+      it('listens for messages on the window if there is no channel', function () {
+        var target = sinon.stub(window, 'addEventListener');
+        ctx.options = {topics: ['a'], target: {}};
+        ctx.instance.connect();
+        target.restore();
+
+        assert.calledWith(target, 'message', ctx.instance.listener);
+      });
+
+      it('does nothing if already connected', function () {
+        ctx.instance.connect().connect();
+        assert.calledOnce(ctx.channel.addEventListener);
+        assert.lengthOf(events._bridges, 1);
+      });
+    });
+
+    describe('.disconnect()', function () {
+      it('removes the bridge from the hub', function () {
+        ctx.instance.connect().disconnect();
+        assert.deepEqual(events._bridges, []);
+      });
+
+      it('stops listening for messages', function () {
+        ctx.instance.connect().disconnect();
+        assert.calledWith(ctx.channel.removeEventListener, 'message', ctx.instance.listener);
+      });
+
+      it('closes a channel created by the bridge', function () {
+        ctx.instance.ownsChannel = true;
+        ctx.instance.connect().disconnect();
+        assert.called(ctx.channel.close);
+      });
+
+      it('does not close a channel provided to the bridge', function () {
+        ctx.instance.connect().disconnect();
+        assert.notCalled(ctx.channel.close);
+      });
+    });
+
+    describe('.matches()', function () {
+      it('matches topic names and patterns', function () {
+        assert.isTrue(ctx.instance.matches('session:expired'));
+        assert.isTrue(ctx.instance.matches('cart:updated'));
+        assert.isFalse(ctx.instance.matches('cart:item:added'));
+        assert.isFalse(ctx.instance.matches('user:loaded'));
+      });
+    });
+
+    describe('.send()', function () {
+      beforeEach(function () {
+        ctx.instance.connect();
+      });
+
+      it('is called when a matching topic is published', function () {
+        events.publish('cart:updated', {total: 1});
+        events.publish('user:loaded');
+
+        assert.calledOnce(ctx.channel.postMessage);
+
+        var message = JSON.parse(ctx.channel.postMessage.firstCall.args[0]);
+        assert.equal(message.type, 'm:hub');
+        assert.equal(message.topic, 'cart:updated');
+        assert.deepEqual(message.args, [{total: 1}]);
+      });
+
+      it('gives each message a unique id', function () {
+        ctx.instance.send('cart:updated', []);
+        ctx.instance.send('cart:updated', []);
+
+        var first = JSON.parse(ctx.channel.postMessage.firstCall.args[0]);
+        var second = JSON.parse(ctx.channel.postMessage.secondCall.args[0]);
+        assert.notEqual(first.id, second.id);
+      });
+
+      it('posts the message to the target window with the origin', function () {
+        var target = {postMessage: sinon.spy()};
+        var instance = new m.HubBridge(events, {topics: ['a'], target: target, origin: 'http://example.com'});
+
+        assert.isTrue(instance.send('a', [1]));
+        assert.calledWith(target.postMessage, sinon.match.string, 'http://example.com');
+      });
+
+      it('emits a bridge:error event if the arguments cannot be serialized', function () {
+        var payload = {};
+        payload.self = payload;
+        events.subscribe('bridge:error', ctx.handler1);
+
+        assert.isFalse(ctx.instance.send('cart:updated', [payload]));
+        assert.notCalled(ctx.channel.postMessage);
+        assert.calledWith(ctx.handler1, sinon.match.instanceOf(Error), 'cart:updated');
+      });
+
+      it('does not send a message back over the bridge it arrived on', function () {
+        events._bridged = ['other:1'];
+        assert.isFalse(ctx.instance.send('cart:updated', [], {bridge: 'other:1', receivedBy: ctx.instance.id}));
+      });
+
+      it('sends a message that arrived on another bridge with its id', function () {
+        events._bridged = ['other:1'];
+        assert.isTrue(ctx.instance.send('cart:updated', [], {bridge: 'other:1', receivedBy: 'bridge2'}));
+
+        var message = JSON.parse(ctx.channel.postMessage.firstCall.args[0]);
+        assert.equal(message.id, 'other:1');
+        assert.deepEqual(events._bridged, ['other:1']);
+      });
+    });
+
+    describe('.receive()', function () {
+      beforeEach(function () {
+        ctx.instance.connect();
+      });
+
+      it('publishes the message on the hub', function () {
+        events.subscribe('cart:updated', ctx.handler1);
+
+        assert.isTrue(ctx.instance.receive({data: JSON.stringify(ctx.message)}));
+        assert.calledWith(ctx.handler1, {total: 1});
+      });
+
+      it('does not echo the message back to the channel', function () {
+        ctx.instance.receive({data: JSON.stringify(ctx.message)});
+        assert.notCalled(ctx.channel.postMessage);
+      });
+
+      it('relays the message through other bridges exactly once', function () {
+        var channel = {postMessage: sinon.spy(), addEventListener: sinon.spy(), removeEventListener: sinon.spy()};
+        var other = new m.HubBridge(events, {topics: ['cart:*'], channel: channel}).connect();
+
+        ctx.instance.receive({data: JSON.stringify(ctx.message)});
+        other.receive({data: JSON.stringify(ctx.message)});
+
+        assert.calledOnce(channel.postMessage);
+        assert.equal(JSON.parse(channel.postMessage.firstCall.args[0]).id, 'other:1');
+        assert.notCalled(ctx.channel.postMessage);
+      });
+
+      it('does not echo a message held while paused', function () {
+        var token = events.pause();
+        ctx.instance.receive({data: JSON.stringify(ctx.message)});
+        events.resume(token);
+
+        assert.notCalled(ctx.channel.postMessage);
+      });
+
+      it('ignores messages that have already been received', function () {
+        events.subscribe('cart:updated', ctx.handler1);
+        ctx.instance.receive({data: JSON.stringify(ctx.message)});
+
+        assert.isFalse(ctx.instance.receive({data: JSON.stringify(ctx.message)}));
+        assert.calledOnce(ctx.handler1);
+      });
+
+      it('ignores topics that are not bridged', function () {
+        ctx.message.topic = 'user:loaded';
+        assert.isFalse(ctx.instance.receive({data: JSON.stringify(ctx.message)}));
+      });
+
+      it('ignores messages not sent by a bridge', function () {
+        assert.isFalse(ctx.instance.receive({data: 'not json'}));
+        assert.isFalse(ctx.instance.receive({data: JSON.stringify({topic: 'cart:updated'})}));
+      });
+
+      it('ignores messages from other windows or origins', function () {
+        var target = {postMessage: sinon.spy()};
+        var instance = new m.HubBridge(events, {topics: ['cart:*'], target: target, origin: 'http://example.com'});
+        var data = JSON.stringify(ctx.message);
+
+        assert.isFalse(instance.receive({data: data, source: {}, origin: 'http://example.com'}));
+        assert.isFalse(instance.receive({data: data, source: target, origin: 'http://evil.com'}));
+        assert.isTrue(instance.receive({data: data, source: target, origin: 'http://example.com'}));
+      });
+    });
+  });
+
+  describe('.bridge()', function () {
+    var bridges = events._bridges;
+
+    afterEach(function () {
+      events._bridges = bridges;
+    });
+
+    it('returns a connected HubBridge', function () {
+      var channel = {addEventListener: sinon.spy()};
+      var bridge = events.bridge({topics: ['a'], channel: channel});
+
+      assert.instanceOf(bridge, m.HubBridge);
+      assert.include(events._bridges, bridge);
+    });
+  });
+
   describe('LibraryRegistry integration', function () {
     it('registers itself into the library', function () {
       assert(m.libraries.has('hub'));
@@ -51,12 +51,239 @@ describe('m.libraries', function () {
         });
       });
 
+      it('raises an error if the lifetime option is unknown', function () {
+        assert.throws(function () {
+          ctx.libraries.add('api', sandbox.spy(), {lifetime: 'forever'});
+        }, Error);
+      });
+
+      it('raises an error if the requires option is not an array', function () {
+        assert.throws(function () {
+          ctx.libraries.add('api', sandbox.spy(), {requires: 'http'});
+        }, Error);
+      });
+
       it('returns itself', function () {
         var returns = ctx.libraries.add('dom', sandbox.spy());
         assert.equal(returns, ctx.libraries);
       });
     });
 
+    describe('.requirements()', function () {
+      it('returns the libraries required by the item', function () {
+        ctx.libraries.add('api', sandbox.spy(), {requires: ['http', 'config']});
+        assert.deepEqual(ctx.libraries.requirements('api'), ['http', 'config']);
+      });
+
+      it('returns an empty array if the item has no requirements', function () {
+        ctx.libraries.add('dom', sandbox.spy());
+        assert.deepEqual(ctx.libraries.requirements('dom'), []);
+      });
+
+      it('throws an error if the item has not been registered', function () {
+        assert.throws(function () {
+          ctx.libraries.requirements('api');
+        }, Error);
+      });
+    });
+
+    describe('.lifetime()', function () {
+      it('returns the lifetime of the item', function () {
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'singleton'});
+        assert.equal(ctx.libraries.lifetime('store'), 'singleton');
+      });
+
+      it('defaults to "module"', function () {
+        ctx.libraries.add('dom', sandbox.spy());
+        assert.equal(ctx.libraries.lifetime('dom'), 'module');
+      });
+    });
+
+    describe('.acquire()', function () {
+      ctx.set('create', function () {
+        return sandbox.spy(function () { return {}; });
+      });
+
+      it('creates a new instance each time for "module" items', function () {
+        ctx.libraries.add('dom', sandbox.spy());
+        var first = ctx.libraries.acquire('dom', document, ctx.create);
+        var second = ctx.libraries.acquire('dom', document, ctx.create);
+
+        assert.calledTwice(ctx.create);
+        assert.notStrictEqual(first, second);
+      });
+
+      it('shares a single instance for "singleton" items', function () {
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'singleton'});
+        var first = ctx.libraries.acquire('store', document, ctx.create);
+        var second = ctx.libraries.acquire('store', document.createElement('div'), ctx.create);
+
+        assert.calledOnce(ctx.create);
+        assert.strictEqual(first, second);
+      });
+
+      it('shares an instance per root for "root" items', function () {
+        var root = document.createElement('div');
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'root'});
+
+        var first = ctx.libraries.acquire('store', document, ctx.create);
+        var second = ctx.libraries.acquire('store', document, ctx.create);
+        var third = ctx.libraries.acquire('store', root, ctx.create);
+
+        assert.strictEqual(first, second);
+        assert.notStrictEqual(first, third);
+      });
+    });
+
+    describe('.release()', function () {
+      it('returns true for "module" items', function () {
+        ctx.libraries.add('dom', sandbox.spy());
+        assert.isTrue(ctx.libraries.release('dom', document));
+      });
+
+      it('returns true once the last reference to a shared item is released', function () {
+        var create = function () { return {}; };
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'singleton'});
+        ctx.libraries.acquire('store', document, create);
+        ctx.libraries.acquire('store', document, create);
+
+        assert.isFalse(ctx.libraries.release('store', document));
+        assert.isTrue(ctx.libraries.release('store', document));
+      });
+
+      it('creates a new shared instance once released', function () {
+        var create = function () { return {}; };
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'singleton'});
+        var first = ctx.libraries.acquire('store', document, create);
+        ctx.libraries.release('store', document);
+
+        assert.notStrictEqual(ctx.libraries.acquire('store', document, create), first);
+      });
+    });
+
+    describe('.sort()', function () {
+      beforeEach(function () {
+        ctx.libraries.add('config', sandbox.spy());
+        ctx.libraries.add('http', sandbox.spy(), {requires: ['config']});
+        ctx.libraries.add('api', sandbox.spy(), {requires: ['http', 'config']});
+        ctx.libraries.add('dom', sandbox.spy());
+      });
+
+      it('places each library after the libraries it requires', function () {
+        assert.deepEqual(ctx.libraries.sort(['api', 'dom']), ['config', 'http', 'api', 'dom']);
+      });
+
+      it('only includes each library once', function () {
+        assert.deepEqual(ctx.libraries.sort(['http', 'api', 'config']), ['config', 'http', 'api']);
+      });
+
+      it('throws an error naming the library that requires a missing one', function () {
+        ctx.libraries.add('search', sandbox.spy(), {requires: ['index']});
+        assert.throws(function () {
+          ctx.libraries.sort(['search']);
+        }, /index was not found in the registry \(required by search\)/);
+      });
+
+      it('throws an error if a library requires one with a shorter lifetime', function () {
+        ctx.libraries.add('store', sandbox.spy(), {requires: ['http'], lifetime: 'singleton'});
+        assert.throws(function () {
+          ctx.libraries.sort(['store']);
+        }, /store \(singleton\) cannot require http \(module\)/);
+      });
+
+      it('throws an error describing a circular dependency', function () {
+        ctx.libraries.add('a', sandbox.spy(), {requires: ['b']});
+        ctx.libraries.add('b', sandbox.spy(), {requires: ['c']});
+        ctx.libraries.add('c', sandbox.spy(), {requires: ['a']});
+        assert.throws(function () {
+          ctx.libraries.sort(['a']);
+        }, /a -> b -> c -> a/);
+      });
+    });
+
+    describe('.fork()', function () {
+      ctx.set('child', function () {
+        return ctx.libraries.fork();
+      });
+
+      beforeEach(function () {
+        ctx.dom = function dom() {};
+        ctx.libraries.add('dom', ctx.dom);
+      });
+
+      it('returns a new instance of LibraryRegistry', function () {
+        assert.instanceOf(ctx.child, LibraryRegistry);
+        assert.strictEqual(ctx.child.parent, ctx.libraries);
+      });
+
+      it('inherits items from the parent', function () {
+        assert.isTrue(ctx.child.has('dom'));
+        assert.strictEqual(ctx.child.get('dom'), ctx.dom);
+      });
+
+      it('allows items to be overridden without affecting the parent', function () {
+        function fake() {}
+        ctx.child.add('dom', fake);
+
+        assert.strictEqual(ctx.child.get('dom'), fake);
+        assert.strictEqual(ctx.libraries.get('dom'), ctx.dom);
+      });
+
+      it('does not add new items to the parent', function () {
+        ctx.child.add('api', sandbox.spy());
+        assert.isFalse(ctx.libraries.has('api'));
+      });
+
+      it('does not remove the parent items when reset', function () {
+        ctx.child.add('dom', sandbox.spy());
+        ctx.child.reset();
+
+        assert.strictEqual(ctx.child.get('dom'), ctx.dom);
+      });
+
+      it('builds inherited items with overridden requirements', function () {
+        var api = sandbox.spy();
+        var fakeHttp = {};
+        ctx.libraries.add('http', function () { return {}; });
+        ctx.libraries.add('api', api, {requires: ['http']});
+        ctx.child.add('http', function () { return fakeHttp; });
+
+        ctx.child.require(['api']).build();
+        assert.calledWith(api, {http: fakeHttp});
+      });
+
+      it('shares inherited singletons with the parent', function () {
+        var create = function () { return {}; };
+        ctx.libraries.add('store', sandbox.spy(), {lifetime: 'singleton'});
+
+        var first = ctx.libraries.acquire('store', document, create);
+        assert.strictEqual(ctx.child.acquire('store', document, create), first);
+      });
+
+      describe('with an inherited singleton whose requirement is overridden', function () {
+        beforeEach(function () {
+          ctx.libraries.add('http', function () { return {real: true}; }, {lifetime: 'singleton'});
+          ctx.libraries.add('api', function (deps) { return {http: deps.http}; }, {requires: ['http'], lifetime: 'singleton'});
+          ctx.child.add('http', function () { return {fake: true}; }, {lifetime: 'singleton'});
+        });
+
+        it('does not leak the child instance into the parent', function () {
+          assert.deepEqual(ctx.child.require(['api']).build().api.http, {fake: true});
+          assert.deepEqual(ctx.libraries.require(['api']).build().api.http, {real: true});
+        });
+
+        it('does not give the child the parent instance', function () {
+          assert.deepEqual(ctx.libraries.require(['api']).build().api.http, {real: true});
+          assert.deepEqual(ctx.child.require(['api']).build().api.http, {fake: true});
+        });
+
+        it('holds the shared instance in the child', function () {
+          assert.strictEqual(ctx.child.holder('api'), ctx.child);
+          assert.strictEqual(ctx.child.holder('dom'), ctx.libraries);
+        });
+      });
+    });
+
     describe('.has()', function () {
       it('returns true if the object is in the registry', function () {
         ctx.libraries.add('dom', function () {});
@@ -125,6 +352,74 @@ describe('m.libraries', function () {
         var built = ctx.dependencies.build();
         assert.equal(built.dom, ctx.dom);
       });
+
+      describe('with required libraries', function () {
+        ctx.set('http', function () {
+          return {teardown: sinon.stub()};
+        });
+
+        beforeEach(function () {
+          ctx.httpFactory = sandbox.stub().returns(ctx.http);
+          ctx.apiFactory = sandbox.spy(function (dependencies) {
+            return {http: dependencies.http, teardown: sinon.stub()};
+          });
+          ctx.libraries.add('http', ctx.httpFactory);
+          ctx.libraries.add('api', ctx.apiFactory, {requires: ['http']});
+          ctx.dependencies.dependencies = ['api'];
+        });
+
+        it('builds the required libraries first', function () {
+          ctx.dependencies.build();
+          assert(ctx.httpFactory.calledBefore(ctx.apiFactory), 'expected http to be built before api');
+        });
+
+        it('passes the required libraries to the factory', function () {
+          ctx.dependencies.build();
+          assert.calledWith(ctx.apiFactory, {http: ctx.http});
+        });
+
+        it('only returns the requested libraries', function () {
+          var built = ctx.dependencies.build();
+          assert.deepEqual(_.keys(built), ['api']);
+        });
+
+        it('waits for required libraries that are promises', function (done) {
+          ctx.httpFactory.returns(Promise.resolve(ctx.http));
+          var built = ctx.dependencies.build();
+
+          assert.isTrue(m.util.isPromise(built.api));
+          ctx.dependencies.resolve().then(function (instances) {
+            assert.strictEqual(instances.api.http, ctx.http);
+          }).then(done, done);
+        });
+      });
+    });
+
+    describe('.resolve()', function () {
+      it('resolves with the instances once the promises have resolved', function (done) {
+        var api = {};
+        ctx.libraries.add('api', function () { return Promise.resolve(api); });
+        ctx.dependencies.dependencies = ['dom', 'api'];
+        ctx.dependencies.build();
+
+        ctx.dependencies.resolve().then(function (instances) {
+          assert.strictEqual(instances.dom, ctx.dom);
+          assert.strictEqual(instances.api, api);
+        }).then(done, done);
+      });
+
+      it('rejects if any of the promises are rejected', function (done) {
+        var error = new Error('Unable to authenticate');
+        ctx.libraries.add('api', function () { return Promise.reject(error); });
+        ctx.dependencies.dependencies = ['dom', 'api'];
+        ctx.dependencies.build();
+
+        ctx.dependencies.resolve().then(function () {
+          assert.fail('Expected the promise to be rejected');
+        }, function (err) {
+          assert.strictEqual(err, error);
+        }).then(done, done);
+      });
     });
 
     describe('.teardown()', function () {
@@ -142,6 +437,74 @@ describe('m.libraries', function () {
           ctx.dependencies.teardown();
         });
       });
+
+      it('tears down the instances in the reverse order they were built', function () {
+        var http = {teardown: sandbox.spy()};
+        ctx.libraries.add('http', function () { return http; });
+        ctx.libraries.add('api', function () { return ctx.api; }, {requires: ['http', 'dom']});
+        ctx.api = {teardown: sandbox.spy()};
+        ctx.dependencies.dependencies = ['api'];
+
+        ctx.dependencies.build();
+        ctx.dependencies.teardown();
+
+        assert(ctx.api.teardown.calledBefore(http.teardown), 'expected api to be torn down before http');
+        assert(ctx.api.teardown.calledBefore(ctx.dom.teardown), 'expected api to be torn down before dom');
+      });
+
+      it('only tears down shared instances on the last release', function () {
+        var store = {teardown: sandbox.spy()};
+        ctx.libraries.add('store', function () { return store; }, {lifetime: 'singleton'});
+
+        var first = ctx.libraries.require(['store']);
+        var second = ctx.libraries.require(['store']);
+        first.build();
+        second.build();
+
+        first.teardown();
+        assert.notCalled(store.teardown);
+
+        second.teardown();
+        assert.calledOnce(store.teardown);
+      });
+
+      it('only releases the libraries acquired before a build failed', function () {
+        ctx.libraries.add('store', function () { return {}; }, {lifetime: 'singleton'});
+        ctx.libraries.add('bad', function () { throw new Error('Failed'); });
+
+        var first = ctx.libraries.require(['store']);
+        var second = ctx.libraries.require(['bad', 'store']);
+        var store = first.build().store;
+        assert.throws(function () {
+          second.build();
+        }, 'Failed');
+
+        second.teardown();
+        assert.strictEqual(ctx.libraries.require(['store']).build().store, store);
+      });
+
+      it('releases the libraries only once', function () {
+        var store = {teardown: sandbox.spy()};
+        ctx.libraries.add('store', function () { return store; }, {lifetime: 'singleton'});
+
+        var first = ctx.libraries.require(['store']);
+        var second = ctx.libraries.require(['store']);
+        first.build();
+        second.build();
+
+        first.teardown();
+        first.teardown();
+        assert.notCalled(store.teardown);
+      });
+
+      it('does not error if the instance is empty', function () {
+        ctx.dom = null;
+
+        ctx.dependencies.build();
+        assert.doesNotThrow(function () {
+          ctx.dependencies.teardown();
+        });
+      });
     });
   });
 });
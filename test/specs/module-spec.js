@@ -45,6 +45,61 @@ describe('m.module()', function () {
     }
   });
 
+  describe('.createApp()', function () {
+    it('returns a new module function', function () {
+      var app = module.createApp();
+      assert.isFunction(app);
+      assert.notEqual(app, module);
+      assert.instanceOf(app.libraryRegistry, m.LibraryRegistry);
+    });
+
+    it('forwards calls on to the app registry', function () {
+      var app = module.createApp();
+      app('test', {});
+
+      assert.ok(app.find('test'));
+      assert.isNull(module.find('test'));
+    });
+
+    it('uses the root option as the registry root', function () {
+      var app = module.createApp({root: ctx.fixture});
+      assert.equal(app.root, ctx.fixture);
+    });
+
+    it('forks the global libraries by default', function () {
+      var app = module.createApp();
+      assert.equal(app.libraryRegistry.parent, m.libraries);
+    });
+
+    it('uses the libraries option if provided', function () {
+      var libraries = new m.LibraryRegistry();
+      var app = module.createApp({libraries: libraries});
+      assert.equal(app.libraryRegistry, libraries);
+    });
+
+    it('only initializes modules within the root', function () {
+      var outside = document.createElement('div');
+      var inside = document.createElement('div');
+      outside.setAttribute('data-test', '');
+      inside.setAttribute('data-test', '');
+      ctx.fixture.appendChild(inside);
+      document.body.appendChild(outside);
+
+      var app = module.createApp({root: ctx.fixture});
+      app('test', {});
+      app.initialize();
+
+      assert.ok(app.findInstance(app.find('test'), inside));
+      assert.isNull(app.findInstance(app.find('test'), outside));
+
+      document.body.removeChild(outside);
+    });
+
+    it('is exported on the m namespace', function () {
+      assert.equal(m.createApp, module.createApp);
+    });
+  });
+
   describe('ModuleRegistry', function () {
     ctx.set('hub', function () {
       return {publish: sandbox.stub(), subscribe: sandbox.stub()};
@@ -209,6 +264,50 @@ describe('m.module()', function () {
           ctx.moduleRegistry.initialize(ctx.fixture);
           assert.notCalled(ctx.target);
         });
+
+        it('schedules each element if the module has been deferred', function () {
+          var target = sandbox.stub(ctx.moduleRegistry, 'schedule');
+          ctx.test1.events = [{}];
+          ctx.moduleRegistry.initialize(ctx.fixture);
+
+          assert.calledTwice(target);
+          assert.calledWith(target, ctx.test1, ctx.element1[0]);
+          assert.calledWith(target, ctx.test1, ctx.element2[0]);
+        });
+      });
+
+      it('runs nested modules once', function () {
+        var run = sandbox.spy();
+        ctx.target.restore();
+        ctx.moduleRegistry.registry = {};
+        ctx.moduleRegistry.define('outer', {run: run});
+        ctx.moduleRegistry.define('inner', {run: run});
+        m.$('<div data-outer><div data-outer><div data-inner></div></div></div>').appendTo(ctx.fixture);
+
+        ctx.moduleRegistry.initialize(ctx.fixture);
+        assert.equal(run.callCount, 3);
+        assert.lengthOf(ctx.moduleRegistry.instances.outer, 2);
+        assert.lengthOf(ctx.moduleRegistry.instances.inner, 1);
+      });
+
+      it('runs existing modules again', function () {
+        var run = sandbox.spy();
+        ctx.target.restore();
+        ctx.moduleRegistry.registry = {};
+        ctx.moduleRegistry.define('outer', {run: run});
+        m.$('<div data-outer></div>').appendTo(ctx.fixture);
+
+        ctx.moduleRegistry.initialize(ctx.fixture);
+        ctx.moduleRegistry.initialize(ctx.fixture);
+        assert.calledTwice(run);
+      });
+
+      it('loads lazy modules that have matching elements', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'loadMatching');
+        ctx.moduleRegistry.initialize(ctx.fixture);
+
+        assert.called(target);
+        assert.equal(target.firstCall.args[0]('[data-test2]')[0], ctx.element3[0]);
       });
 
       it('returns the module object', function () {
@@ -216,6 +315,221 @@ describe('m.module()', function () {
       });
     });
 
+    describe('.initializeFactory()', function () {
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+      });
+
+      it('creates an instance for each element', function () {
+        var other = document.createElement('div');
+        ctx.moduleRegistry.initializeFactory(ctx.factory, [ctx.element, other]);
+
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+        assert.calledWith(ctx.target, ctx.factory, other);
+      });
+
+      it('delegates and schedules the elements if the module is deferred', function () {
+        var delegate = sandbox.stub(ctx.moduleRegistry, 'delegate');
+        var schedule = sandbox.stub(ctx.moduleRegistry, 'schedule');
+        ctx.factory.events = [{on: 'click'}];
+
+        ctx.moduleRegistry.initializeFactory(ctx.factory, [ctx.element]);
+
+        assert.calledWith(delegate, ctx.factory);
+        assert.calledWith(schedule, ctx.factory, ctx.element);
+        assert.notCalled(ctx.target);
+      });
+    });
+
+    describe('.lazy()', function () {
+      it('registers a loader for the module type', function () {
+        var loader = sandbox.spy();
+        ctx.moduleRegistry.lazy('rich-editor', loader);
+
+        assert.strictEqual(ctx.moduleRegistry.loaders['rich-editor'].loader, loader);
+        assert.equal(ctx.moduleRegistry.loaders['rich-editor'].selector, '[data-rich-editor]');
+      });
+
+      it('does not call the loader', function () {
+        var loader = sandbox.spy();
+        ctx.moduleRegistry.lazy('rich-editor', loader);
+        assert.notCalled(loader);
+      });
+
+      it('throws an error if the module has already been registered', function () {
+        ctx.moduleRegistry.define('rich-editor');
+        assert.throws(function () {
+          ctx.moduleRegistry.lazy('rich-editor', sandbox.spy());
+        }, Error);
+      });
+
+      it('throws an error if the loader is not a function', function () {
+        assert.throws(function () {
+          ctx.moduleRegistry.lazy('rich-editor', {});
+        }, Error);
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.moduleRegistry.lazy('rich-editor', sandbox.spy()), ctx.moduleRegistry);
+      });
+    });
+
+    describe('.load()', function () {
+      it('defines the module with the object the loader resolves with', function (done) {
+        ctx.moduleRegistry.lazy('rich-editor', function () {
+          return Promise.resolve({run: 'method'});
+        });
+
+        ctx.moduleRegistry.load('rich-editor').then(function (factory) {
+          assert.instanceOf(factory, ModuleFactory);
+          assert.strictEqual(ctx.moduleRegistry.find('rich-editor'), factory);
+          assert.propertyVal(factory.properties, 'run', 'method');
+        }).then(done, done);
+      });
+
+      it('uses the "default" export of an ES module', function (done) {
+        ctx.moduleRegistry.lazy('rich-editor', function () {
+          return Promise.resolve({'default': {run: 'method'}});
+        });
+
+        ctx.moduleRegistry.load('rich-editor').then(function (factory) {
+          assert.propertyVal(factory.properties, 'run', 'method');
+        }).then(done, done);
+      });
+
+      it('supports loaders that call the callback', function (done) {
+        ctx.moduleRegistry.lazy('rich-editor', function (callback) {
+          setTimeout(function () { callback({run: 'method'}); }, 0);
+        });
+
+        ctx.moduleRegistry.load('rich-editor').then(function (factory) {
+          assert.propertyVal(factory.properties, 'run', 'method');
+        }).then(done, done);
+      });
+
+      it('uses the module if the loaded file defined it', function (done) {
+        var registry = ctx.moduleRegistry;
+        registry.lazy('rich-editor', function (callback) {
+          registry.define('rich-editor', {run: 'method'});
+          callback();
+        });
+
+        registry.load('rich-editor').then(function (factory) {
+          assert.strictEqual(registry.find('rich-editor'), factory);
+        }).then(done, done);
+      });
+
+      it('only calls the loader once', function () {
+        var loader = sandbox.stub().returns(new Promise(function () {}));
+        ctx.moduleRegistry.lazy('rich-editor', loader);
+
+        ctx.moduleRegistry.load('rich-editor');
+        ctx.moduleRegistry.load('rich-editor');
+        assert.calledOnce(loader);
+      });
+
+      it('rejects if the loader does not provide a definition', function (done) {
+        ctx.moduleRegistry.lazy('rich-editor', function () {
+          return Promise.resolve();
+        });
+
+        ctx.moduleRegistry.load('rich-editor').then(function () {
+          assert.fail('Expected the promise to be rejected');
+        }, function (error) {
+          assert.instanceOf(error, Error);
+        }).then(done, done);
+      });
+
+      it('calls the loader again after a failure', function (done) {
+        var loader = sandbox.stub().returns(Promise.reject(new Error('Network error')));
+        var registry = ctx.moduleRegistry.lazy('rich-editor', loader);
+
+        registry.load('rich-editor').then(null, function () {
+          registry.load('rich-editor').then(null, function () {
+            assert.calledTwice(loader);
+          }).then(done, done);
+        });
+      });
+
+      it('throws an error if no loader has been registered', function () {
+        assert.throws(function () {
+          ctx.moduleRegistry.load('rich-editor');
+        }, Error);
+      });
+    });
+
+    describe('.loadMatching()', function () {
+      ctx.set('findMatches', function () {
+        return sandbox.spy(function (selector) {
+          return m.$(selector, ctx.fixture);
+        });
+      });
+
+      beforeEach(function () {
+        ctx.loader = sandbox.stub().returns(Promise.resolve({run: 'method'}));
+        ctx.moduleRegistry.lazy('rich-editor', ctx.loader);
+      });
+
+      it('does not load the module if there are no matching elements', function () {
+        ctx.moduleRegistry.loadMatching(ctx.findMatches);
+
+        assert.calledWith(ctx.findMatches, '[data-rich-editor]');
+        assert.notCalled(ctx.loader);
+      });
+
+      it('loads and initializes the module for the matching elements', function (done) {
+        var element = m.$('<div data-rich-editor>').appendTo(ctx.fixture)[0];
+        var target = sandbox.stub(ctx.moduleRegistry, 'initializeFactory', function (factory, matches) {
+          assert.strictEqual(factory, ctx.moduleRegistry.find('rich-editor'));
+          assert.equal(matches[0], element);
+          done();
+        });
+
+        ctx.moduleRegistry.loadMatching(ctx.findMatches);
+        assert.called(ctx.loader);
+      });
+
+      it('does not initialize the module if the registry is destroyed while loading', function (done) {
+        m.$('<div data-rich-editor>').appendTo(ctx.fixture);
+        var target = sandbox.stub(ctx.moduleRegistry, 'initializeFactory');
+
+        ctx.moduleRegistry.loadMatching(ctx.findMatches);
+        ctx.moduleRegistry.destroy();
+
+        ctx.moduleRegistry.load('rich-editor').then(function () {
+          return new Promise(function (resolve) { setTimeout(resolve, 0); });
+        }).then(function () {
+          assert.notCalled(target);
+        }).then(done, done);
+      });
+
+      it('skips modules that have already been loaded', function () {
+        ctx.moduleRegistry.define('rich-editor');
+        m.$('<div data-rich-editor>').appendTo(ctx.fixture);
+
+        ctx.moduleRegistry.loadMatching(ctx.findMatches);
+        assert.notCalled(ctx.loader);
+      });
+
+      it('publishes the "module:error" event if the module fails to load', function (done) {
+        var error = new Error('Network error');
+        var element = m.$('<div data-rich-editor>').appendTo(ctx.fixture)[0];
+        ctx.loader.returns(Promise.reject(error));
+
+        sandbox.stub(m.events, 'publish', function (topic, err, el, lazy) {
+          assert.equal(topic, 'module:error');
+          assert.strictEqual(err, error);
+          assert.strictEqual(el, element);
+          assert.equal(lazy.type, 'rich-editor');
+          done();
+        });
+
+        ctx.moduleRegistry.loadMatching(ctx.findMatches);
+      });
+    });
+
     describe('.instance()', function () {
       beforeEach(function () {
         ctx.factory = new ModuleFactory('test');
@@ -231,6 +545,23 @@ describe('m.module()', function () {
         sandbox.stub(ctx.factory, 'extract').returns(ctx.extractedOptions);
       });
 
+      it('uses the libraries of a forked LibraryRegistry', function () {
+        var hub = {publish: sandbox.spy()};
+        var libraries = ctx.LibraryRegistry.fork().add('hub', function () { return hub; });
+        var registry = new ModuleRegistry(libraries);
+
+        ctx.LibraryRegistry.require.restore();
+        ctx.factory.extract.restore();
+
+        var instance = registry.instance(ctx.factory, ctx.element);
+        assert.strictEqual(instance.hub, hub);
+      });
+
+      it('requires the dependencies for the registry root', function () {
+        ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        assert.calledWith(ctx.LibraryRegistry.require, ctx.factory.dependencies, document);
+      });
+
       it('extract the options from the element', function () {
         ctx.moduleRegistry.instance(ctx.factory, ctx.element);
 
@@ -284,6 +615,56 @@ describe('m.module()', function () {
         assert.calledWith(target, instance);
       });
 
+      it('listens for the replace event and destroys nested instances', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'destroyWithin');
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+        instance.emit('replace');
+        assert.calledWith(target, ctx.element);
+      });
+
+      it('initializes modules rendered by .initialize()', function () {
+        ctx.moduleRegistry.define('child');
+        ctx.factory.mixin({
+          initialize: function () {
+            this.html('<div data-child></div>');
+          }
+        });
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        var child = ctx.moduleRegistry.findInstance(ctx.moduleRegistry.find('child'), instance.$('[data-child]')[0]);
+
+        assert.ok(child);
+        assert.strictEqual(child.parent(), instance);
+      });
+
+      it('links the instance into the module hierarchy before running it', function () {
+        var target = sandbox.spy(ctx.moduleRegistry, 'adopt');
+        ctx.factory.mixin({run: sandbox.spy()});
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+        assert.calledWith(target, instance);
+        assert(target.calledBefore(instance.run), 'expected adopt() to be called first');
+      });
+
+      it('releases the libraries once an asynchronous teardown resolves', function (done) {
+        var teardown = ctx.LibraryRegistry.require().teardown;
+        var resolve;
+        ctx.factory.mixin({
+          teardown: function () {
+            return new Promise(function (res) { resolve = res; });
+          }
+        });
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+        var promise = instance.remove();
+        assert.notCalled(teardown);
+
+        resolve();
+        promise.then(function () {
+          assert.called(teardown);
+        }).then(done, done);
+      });
+
       it('it adds the instance to the module cache', function () {
         var target = sandbox.stub(ctx.moduleRegistry, 'addInstance');
         var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
@@ -307,570 +688,2053 @@ describe('m.module()', function () {
         var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
         assert.instanceOf(instance, Module);
       });
-    });
-
-    describe('.delegate()', function () {
-      ctx.set('events', function () { return [{on: 'click'}, {on: 'keypress'}]; });
-      ctx.set('el', function () { return document.createElement('div'); });
-      ctx.set('target');
 
-      beforeEach(function () {
-        ctx.factory.events = ctx.events;
-        ctx.el.setAttribute('data-test', '');
-        document.body.appendChild(ctx.el);
+      it('publishes the "module:error" event if the options are invalid', function () {
+        var target = sandbox.stub(m.events, 'publish');
+        sandbox.stub(m.events, 'report');
+        var error = new Error('Invalid data-test-limit attribute');
+        ctx.factory.extract.throws(error);
 
-        ctx.target = sandbox.stub(ctx.moduleRegistry, 'delegateHandler');
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        assert.isNull(instance);
+        assert.calledWith(target, 'module:error', error, ctx.element, ctx.factory);
+        assert.notCalled(ctx.LibraryRegistry.require);
       });
 
-      afterEach(function () {
-        document.body.removeChild(ctx.el);
-      });
+      it('releases the acquired libraries if a library throws while building', function () {
+        var dependencies = ctx.LibraryRegistry.require();
+        dependencies.build.throws(new Error('Unable to build api'));
 
-      it('registers an event handler on the document for each event', function () {
-        ctx.moduleRegistry.delegate(ctx.factory);
-        $(ctx.el).trigger('click');
-        $(ctx.el).trigger('keypress');
-        assert.calledTwice(ctx.target);
+        assert.throws(function () {
+          ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        }, 'Unable to build api');
+        assert.called(dependencies.teardown);
       });
 
-      it('passes in the factory and options as data properties of the event', function () {
-        ctx.moduleRegistry.delegate(ctx.factory);
-        $(ctx.el).trigger('click');
-        assert.calledWith(ctx.target, ctx.factory, ctx.events[0], sinon.match.object);
+      it('reports the error if the options are invalid', function () {
+        var target = sandbox.stub(m.events, 'report');
+        var error = new Error('Invalid data-test-limit attribute');
+        ctx.factory.extract.throws(error);
+
+        ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        assert.calledWith(target, error, {topic: 'module:error', element: ctx.element, type: 'test'});
       });
 
-      it('sets the `hasDelegated` flag on the factory', function () {
-        ctx.moduleRegistry.delegate(ctx.factory);
-        assert.isTrue(ctx.factory.hasDelegated);
+      it('throws the error if the options are invalid in strict mode', function () {
+        var error = new Error('Invalid data-test-limit attribute');
+        ctx.factory.extract.throws(error);
+        sandbox.stub(m.events, 'publish');
+        m.events.strict = true;
+
+        try {
+          assert.throws(function () {
+            ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+          }, 'Invalid data-test-limit attribute');
+        } finally {
+          m.events.strict = false;
+        }
       });
 
-      it('does nothing if the `hasDelegated` flag is set on the factory', function () {
-        ctx.factory.hasDelegated = true;
-        ctx.moduleRegistry.delegate(ctx.factory);
-        $(ctx.el).trigger('click');
-        assert.notCalled(ctx.target);
+      describe('with asynchronous dependencies', function () {
+        beforeEach(function () {
+          var resolve, reject;
+          ctx.promise = new Promise(function (res, rej) {
+            resolve = res;
+            reject = rej;
+          });
+          ctx.resolve = resolve;
+          ctx.reject = reject;
+
+          ctx.dependencies = {config: ctx.promise};
+          ctx.LibraryRegistry.require.returns({
+            build: sandbox.stub().returns(ctx.dependencies),
+            resolve: sandbox.stub().returns(ctx.promise.then(function (config) {
+              return {config: config};
+            })),
+            teardown: sandbox.spy()
+          });
+        });
+
+        it('returns a promise that resolves with the instance', function (done) {
+          var promise = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+          assert.isTrue(m.util.isPromise(promise));
+
+          ctx.resolve({api: 'config'});
+          promise.then(function (instance) {
+            assert.instanceOf(instance, Module);
+            assert.strictEqual(ctx.moduleRegistry.findInstance(ctx.factory, ctx.element), instance);
+          }).then(done, done);
+        });
+
+        it('does not create the instance until the dependencies resolve', function (done) {
+          var target = sandbox.spy(ctx.moduleRegistry, 'construct');
+          var promise = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+          assert.notCalled(target);
+
+          ctx.resolve({api: 'config'});
+          promise.then(function () {
+            assert.calledWith(target, ctx.factory, ctx.element, sinon.match.object, {config: {api: 'config'}});
+          }).then(done, done);
+        });
+
+        it('returns the same promise while the instance is pending', function () {
+          var first = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+          var second = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+          assert.strictEqual(first, second);
+        });
+
+        it('publishes the "module:error" event if a dependency is rejected', function (done) {
+          var target = sandbox.stub(m.events, 'publish');
+          var error = new Error('Unable to load config');
+          var dependencies = ctx.LibraryRegistry.require();
+          var promise = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+          ctx.reject(error);
+          promise.then(function (instance) {
+            assert.isNull(instance);
+            assert.calledWith(target, 'module:error', error, ctx.element, ctx.factory);
+            assert.called(dependencies.teardown);
+            assert.isNull(ctx.moduleRegistry.findPending(ctx.factory, ctx.element));
+          }).then(done, done);
+        });
+
+        it('publishes the "module:error" event if the module throws while initializing', function (done) {
+          var target = sandbox.stub(m.events, 'publish');
+          var error = new Error('Unable to initialize');
+          var dependencies = ctx.LibraryRegistry.require();
+          ctx.factory.mixin({initialize: sandbox.stub().throws(error)});
+          var promise = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+          ctx.resolve({api: 'config'});
+          promise.then(function (instance) {
+            assert.isNull(instance);
+            assert.calledWith(target, 'module:error', error, ctx.element, ctx.factory);
+            assert.called(dependencies.teardown);
+            assert.isNull(ctx.moduleRegistry.findPending(ctx.factory, ctx.element));
+          }).then(done, done);
+        });
+
+        it('does not create the instance if the registry is destroyed first', function (done) {
+          var target = sandbox.spy(ctx.moduleRegistry, 'construct');
+          var dependencies = ctx.LibraryRegistry.require();
+          var promise = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+
+          ctx.moduleRegistry.destroy();
+          ctx.resolve({api: 'config'});
+          promise.then(function (instance) {
+            assert.isNull(instance);
+            assert.notCalled(target);
+            assert.called(dependencies.teardown);
+            assert.isNull(ctx.moduleRegistry.findInstance(ctx.factory, ctx.element));
+          }).then(done, done);
+        });
       });
     });
 
-    describe('.delegateHandler', function () {
-      ctx.set('event', function () {
-        var event = _.clone(m.$.Event('click'));
-        event.currentTarget = ctx.element;
-        event.preventDefault = sandbox.spy();
-        return event;
+    describe('.observe()', function () {
+      afterEach(function () {
+        ctx.moduleRegistry.disconnect();
       });
-      ctx.set('target');
-      ctx.set('element');
 
-      beforeEach(function () {
-        ctx.element = document.createElement('div');
-        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+      it('creates a MutationObserver for the root element', function () {
+        ctx.moduleRegistry.observe(ctx.fixture);
+        assert.instanceOf(ctx.moduleRegistry.observer, window.MutationObserver);
       });
 
-      it('instantiates the module with the factory and current event target', function () {
-        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
-        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      it('disconnects any existing observer', function () {
+        var target = sandbox.spy();
+        ctx.moduleRegistry.observer = {disconnect: target};
+
+        ctx.moduleRegistry.observe(ctx.fixture);
+        assert.called(target);
       });
 
-      it('prevents the default event action', function () {
-        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
-        assert.called(ctx.event.preventDefault);
+      it('creates instances for elements inserted into the root', function (done) {
+        ctx.moduleRegistry.define('test');
+        ctx.moduleRegistry.observe(ctx.fixture);
+
+        var element = m.$('<div data-test>').appendTo(ctx.fixture)[0];
+        setTimeout(function () {
+          assert.ok(ctx.moduleRegistry.lookup(element, 'test'));
+          done();
+        }, 0);
       });
 
-      it('does not prevent the default event action if options.preventDefault is false', function () {
-        ctx.moduleRegistry.delegateHandler(ctx.factory, {preventDefault: false}, ctx.event);
-        assert.notCalled(ctx.event.preventDefault);
+      it('removes instances for elements removed from the root', function (done) {
+        ctx.moduleRegistry.define('test');
+        ctx.moduleRegistry.observe(ctx.fixture);
+
+        var element = m.$('<div data-test>').appendTo(ctx.fixture)[0];
+        var instance = ctx.moduleRegistry.create('test', element);
+        var target = sandbox.spy(instance, 'teardown');
+
+        ctx.fixture.removeChild(element);
+        setTimeout(function () {
+          assert.calledOnce(target);
+          assert.isNull(ctx.moduleRegistry.lookup(element, 'test'));
+          done();
+        }, 0);
       });
 
-      it('does not try to call options.callback if it is not a function', function () {
-        var context = ctx;
-        [null, undefined, 'string', 10, false, true].forEach(function (value) {
-          assert.doesNotThrow(function () {
-            context.moduleRegistry.delegateHandler(context.factory, {callback: value}, context.event);
-          });
-        });
+      it('throws an error if MutationObserver is not supported', function () {
+        var MutationObserver = window.MutationObserver;
+        var WebKitMutationObserver = window.WebKitMutationObserver;
+        window.MutationObserver = window.WebKitMutationObserver = undefined;
+
+        try {
+          assert.throws(function () {
+            ctx.moduleRegistry.observe(ctx.fixture);
+          }, Error);
+        } finally {
+          window.MutationObserver = MutationObserver;
+          window.WebKitMutationObserver = WebKitMutationObserver;
+        }
       });
 
-      it('does nothing if the meta key is held down', function () {
-        ctx.event.metaKey = true;
-        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
-        assert.notCalled(ctx.target);
+      it('returns itself', function () {
+        assert.strictEqual(ctx.moduleRegistry.observe(ctx.fixture), ctx.moduleRegistry);
       });
     });
 
-    describe('.findInstance()', function () {
-      it('finds an instance for the factory and element provided', function () {
-        ctx.moduleRegistry.instances.test = [ctx.instance];
-        var target = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
-        assert.strictEqual(target, ctx.instance);
-      });
+    describe('.disconnect()', function () {
+      it('stops observing the root element', function () {
+        var target = sandbox.spy();
+        ctx.moduleRegistry.observer = {disconnect: target};
 
-      it('returns null if no instance can be found', function () {
-        var target = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
-        assert.isNull(target);
+        ctx.moduleRegistry.disconnect();
+        assert.called(target);
+        assert.isNull(ctx.moduleRegistry.observer);
       });
-    });
 
-    describe('.addInstance()', function () {
-      it('adds the instance to the module.instances cache', function () {
-        var target = ctx.moduleRegistry.addInstance(ctx.instance);
-        assert.deepEqual(ctx.moduleRegistry.instances.test, [ctx.instance]);
+      it('returns itself', function () {
+        assert.strictEqual(ctx.moduleRegistry.disconnect(), ctx.moduleRegistry);
       });
+    });
 
-      it('creates the array if it does not already exist', function () {
-        var target = ctx.moduleRegistry.addInstance(ctx.instance);
-        assert.deepEqual(ctx.moduleRegistry.instances.test, [ctx.instance]);
+    describe('.mutationHandler()', function () {
+      it('detaches removed nodes before attaching added nodes', function () {
+        var added = document.createElement('div');
+        var removed = document.createElement('div');
+        var attach = sandbox.stub(ctx.moduleRegistry, 'attach');
+        var detach = sandbox.stub(ctx.moduleRegistry, 'detach');
+
+        ctx.moduleRegistry.mutationHandler([
+          {addedNodes: [added], removedNodes: []},
+          {addedNodes: [], removedNodes: [removed]}
+        ]);
+
+        assert.calledWith(attach, added);
+        assert.calledWith(detach, removed);
+        assert(detach.calledBefore(attach), 'expected detach() to be called first');
       });
     });
 
-    describe('.removeInstance()', function () {
+    describe('.attach()', function () {
+      ctx.set('target');
+
       beforeEach(function () {
-        ctx.moduleRegistry.instances.test = [ctx.instance];
+        ctx.moduleRegistry.registry = {test: ctx.factory};
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
       });
 
-      it('removes the instance from the cache', function () {
-        ctx.moduleRegistry.removeInstance(ctx.instance);
-        assert.deepEqual(ctx.moduleRegistry.instances.test, []);
+      it('creates an instance for the node and its matching children', function () {
+        var element = m.$('<div data-test><span data-test></span></div>').appendTo(ctx.fixture)[0];
+        ctx.moduleRegistry.attach(element);
+
+        assert.calledTwice(ctx.target);
+        assert.calledWith(ctx.target, ctx.factory, element);
+        assert.calledWith(ctx.target, ctx.factory, element.firstChild);
       });
-    });
 
-    describe('.lookup()', function () {
-      beforeEach(function () {
-        ctx.moduleRegistry.instances.test = [ctx.instance];
+      it('skips elements that already have an instance', function () {
+        var element = m.$('<div data-test>').appendTo(ctx.fixture)[0];
+        sandbox.stub(ctx.moduleRegistry, 'findInstance').returns(ctx.instance);
+
+        ctx.moduleRegistry.attach(element);
+        assert.notCalled(ctx.target);
       });
 
-      it('returns all modules for the element provided', function () {
-        var result = ctx.moduleRegistry.lookup(ctx.instance.el);
-        assert.deepEqual(result, [ctx.instance]);
+      it('loads lazy modules matching the node and its children', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'loadMatching');
+        var element = m.$('<div data-test><span data-test></span></div>').appendTo(ctx.fixture)[0];
+        ctx.moduleRegistry.attach(element);
+
+        var matches = target.firstCall.args[0]('[data-test]');
+        assert.deepEqual(matches, [element, element.firstChild]);
       });
 
-      it('returns an empty array if no elements are found', function () {
-        var result = ctx.moduleRegistry.lookup(document.createElement('a'));
-        assert.deepEqual(result, []);
+      it('skips nodes that are no longer in the document', function () {
+        ctx.moduleRegistry.attach(m.$('<div data-test>')[0]);
+        assert.notCalled(ctx.target);
       });
 
-      it('returns the exact module if a type is provided', function () {
-        var result = ctx.moduleRegistry.lookup(ctx.instance.el, 'test');
-        assert.equal(result, ctx.instance);
+      it('skips nodes that are not elements', function () {
+        ctx.moduleRegistry.attach(ctx.fixture.appendChild(document.createTextNode('text')));
+        assert.notCalled(ctx.target);
       });
 
-      it('returns null if the module was not found for the element provided', function () {
-        var result = ctx.moduleRegistry.lookup(ctx.instance.el, 'non-existant');
-        assert.isNull(result);
+      it('delegates the module if it has been deferred', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'delegate');
+        var element = m.$('<div data-test>').appendTo(ctx.fixture)[0];
+        ctx.factory.events = [{on: 'click'}];
+
+        ctx.moduleRegistry.attach(element);
+        assert.calledWith(target, ctx.factory);
+        assert.notCalled(ctx.target);
       });
     });
 
-    describe('.mixin()', function () {
-      it('extends the Module prototype', function () {
-        var methods = {method1: function () {}, prop1: 'property'};
+    describe('.detach()', function () {
+      ctx.set('target');
 
-        ctx.moduleRegistry.mixin(methods);
+      ctx.set('parent', function () {
+        return document.createElement('div');
+      });
 
-        assert.propertyVal(Module.prototype, 'prop1', 'property');
-        assert.propertyVal(Module.prototype, 'method1', methods.method1);
+      beforeEach(function () {
+        ctx.parent.appendChild(ctx.element);
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+        ctx.target = sandbox.stub(ctx.instance, 'remove');
       });
 
-      it('throws an error if the property has already been set', function () {
-        Module.prototype.method1 = function () {};
+      it('removes instances bound to the node', function () {
+        ctx.moduleRegistry.detach(ctx.element);
+        assert.called(ctx.target);
+      });
 
-        assert.throws(function () {
-          ctx.moduleRegistry.mixin({method1: function () {}});
-        });
+      it('removes instances bound to children of the node', function () {
+        ctx.moduleRegistry.detach(ctx.parent);
+        assert.called(ctx.target);
       });
-    });
-  });
 
-  describe('ModuleFactory()', function () {
-    ctx.set('name', function () {
-      return 'example';
-    });
-    ctx.set('findModule', function () {
-      return sandbox.spy();
-    });
-    ctx.set('methods', function () {
-      return {};
-    });
-    ctx.set('subject', function () {
-      return new ModuleFactory(ctx.name, ctx.findModule);
-    });
+      it('skips nodes that are still within the document', function () {
+        ctx.fixture.appendChild(ctx.parent);
+        ctx.moduleRegistry.detach(ctx.parent);
+        assert.notCalled(ctx.target);
+      });
 
-    it('throws an error if no type is provided', function () {
-      assert.throws(function () {
-        new ModuleFactory();
-      }, Error);
-    });
+      it('reports a failed asynchronous teardown', function (done) {
+        var error = new Error('Failed');
+        var report = sandbox.stub(m.events, 'report');
+        ctx.target.returns(Promise.reject(error));
 
-    it('has a type property', function () {
-      assert.equal(ctx.subject.type, 'example');
-    });
+        ctx.moduleRegistry.detach(ctx.parent);
+        new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+          assert.calledWith(report, error, {topic: 'module:remove', cid: ctx.instance.cid});
+        }).then(done, done);
+      });
 
-    it('has a data property', function () {
-      assert.equal(ctx.subject.namespace, 'data-example');
-    });
+      it('unschedules elements within the node', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'unschedule');
+        ctx.moduleRegistry.registry.test = ctx.factory;
+        ctx.moduleRegistry.scheduled.test = [ctx.element];
 
-    it('has a selector property', function () {
-      assert.equal(ctx.subject.selector, '[data-example]');
+        ctx.moduleRegistry.detach(ctx.parent);
+        assert.calledWith(target, ctx.factory, ctx.element);
+      });
     });
 
-    it('has a dependencies property', function () {
-      assert.deepEqual(ctx.subject.dependencies, ['hub']);
-    });
+    describe('.destroyWithin()', function () {
+      ctx.set('child', function () {
+        return new Module(document.createElement('div'));
+      });
 
-    it('sets the findModule() method to the passed function', function () {
-      assert.equal(ctx.subject.findModule, ctx.findModule);
-    });
+      beforeEach(function () {
+        ctx.element.appendChild(ctx.child.el);
+        ctx.moduleRegistry.instances.test = [ctx.instance, ctx.child];
+        sandbox.stub(ctx.instance, 'destroy');
+        sandbox.stub(ctx.child, 'destroy');
+      });
 
-    it('does not set the findModule() method if no function is provided', function () {
-      ctx.findModule = null;
-      assert.isFalse(_.has(ctx.subject, 'findModule'), 'subject should not have own property findModule');
-    });
+      it('destroys instances nested within the element', function () {
+        ctx.moduleRegistry.destroyWithin(ctx.element);
+        assert.called(ctx.child.destroy);
+      });
 
-    describe('.build()', function () {
-      it('builds a new Module instance', function () {
-        assert.instanceOf(ctx.subject.build().prototype, Module);
+      it('reports a failed asynchronous teardown', function (done) {
+        var error = new Error('Failed');
+        var target = sandbox.stub(m.events, 'report');
+        ctx.child.destroy.returns(Promise.reject(error));
+
+        ctx.moduleRegistry.destroyWithin(ctx.element);
+        new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+          assert.calledWith(target, error, {topic: 'module:remove', cid: ctx.child.cid});
+        }).then(done, done);
       });
 
-      it('returns the same object if called more than once', function () {
-        assert.strictEqual(ctx.subject.build(), ctx.subject.build());
+      it('leaves the instance bound to the element', function () {
+        ctx.moduleRegistry.destroyWithin(ctx.element);
+        assert.notCalled(ctx.instance.destroy);
       });
 
-      it('returns a new object if the force option is true', function () {
-        var first = ctx.subject.build();
-        var second = ctx.subject.build({force: true});
-        assert.notStrictEqual(first, second);
+      it('returns itself', function () {
+        assert.strictEqual(ctx.moduleRegistry.destroyWithin(ctx.element), ctx.moduleRegistry);
       });
+    });
 
-      it('uses the parent if provided', function () {
-        var target = ctx.subject.parent = new ModuleFactory('parent').build();
-        assert.instanceOf(ctx.subject.build().prototype, target);
+    describe('.delegate()', function () {
+      ctx.set('events', function () { return [{on: 'click'}, {on: 'keypress'}]; });
+      ctx.set('el', function () { return document.createElement('div'); });
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.factory.events = ctx.events;
+        ctx.el.setAttribute('data-test', '');
+        document.body.appendChild(ctx.el);
+
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'delegateHandler');
       });
 
-      it('extends the prototype with properties if provided', function () {
-        function method1() {}
-        ctx.subject.properties.method1 = method1;
-        assert.strictEqual(ctx.subject.build().prototype.method1, method1);
+      afterEach(function () {
+        document.body.removeChild(ctx.el);
       });
 
-      it('creates a named constructor function', function () {
-        var constructor = ctx.subject.build();
-        assert.equal(constructor.name, 'ExampleModule');
+      it('registers an event handler on the document for each event', function () {
+        ctx.moduleRegistry.delegate(ctx.factory);
+        $(ctx.el).trigger('click');
+        $(ctx.el).trigger('keypress');
+        assert.calledTwice(ctx.target);
       });
-    });
 
-    describe('.extend()', function () {
-      it('sets the parent property to the child Module provided', function () {
-        var ParentModule = Module.extend();
-        ctx.subject.extend(ParentModule);
-        assert.strictEqual(ctx.subject.parent, ParentModule);
+      it('passes in the factory and options as data properties of the event', function () {
+        ctx.moduleRegistry.delegate(ctx.factory);
+        $(ctx.el).trigger('click');
+        assert.calledWith(ctx.target, ctx.factory, ctx.events[0], sinon.match.object);
       });
 
-      it('throws an error if the parent is not a Module constructor', function () {
-        _.each([null, 'test', new Module(), new ModuleFactory('fake'), ModuleFactory], function (parent) {
-          assert.throws(function () {
-            ctx.subject.extend(parent);
-          });
-        }, ctx);
+      it('sets the `hasDelegated` flag on the factory', function () {
+        ctx.moduleRegistry.delegate(ctx.factory);
+        assert.isTrue(ctx.factory.hasDelegated);
       });
 
-      it('uses the findModule() function to lookup a string', function () {
-        var ParentModule = Module.extend();
-        ctx.findModule = sandbox.stub().returns(ParentModule);
+      it('does nothing if the `hasDelegated` flag is set on the factory', function () {
+        ctx.factory.hasDelegated = true;
+        ctx.moduleRegistry.delegate(ctx.factory);
+        $(ctx.el).trigger('click');
+        assert.notCalled(ctx.target);
+      });
 
-        ctx.subject.extend(ParentModule);
-        assert.strictEqual(ctx.subject.parent, ParentModule);
+      it('does not bind element level strategies to the document', function () {
+        var target = sandbox.spy(m.$.fn, 'on');
+        ctx.factory.events = [{on: 'visible'}];
+
+        ctx.moduleRegistry.delegate(ctx.factory);
+        assert.notCalled(target);
       });
 
-      it('returns itself', function () {
-        var ParentModule = Module.extend();
-        assert.strictEqual(ctx.subject.extend(ParentModule), ctx.subject);
+      it('registers the event handlers on the registry root', function () {
+        var root = document.createElement('div');
+        var child = document.createElement('div');
+        child.setAttribute('data-test', '');
+        root.appendChild(child);
+        ctx.fixture.appendChild(root);
+
+        ctx.moduleRegistry.root = root;
+        ctx.moduleRegistry.delegate(ctx.factory);
+
+        $(ctx.el).trigger('click');
+        assert.notCalled(ctx.target);
+
+        $(child).trigger('click');
+        assert.calledOnce(ctx.target);
       });
     });
 
-    describe('.methods()', function () {
-      it('extends the properties object with the new methods', function () {
-        function myMethod() {}
+    describe('.destroy()', function () {
+      ctx.set('factory', function () {
+        return new module.ModuleFactory('test', {}).defer({on: 'click'});
+      });
 
-        ctx.subject.methods({
-          prop: 'my-prop',
-          method: myMethod
-        });
+      beforeEach(function () {
+        ctx.element.setAttribute('data-test', '');
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.root = ctx.fixture;
+        ctx.moduleRegistry.registry.test = ctx.factory;
+      });
 
-        assert.propertyVal(ctx.subject.properties, 'prop', 'my-prop');
-        assert.propertyVal(ctx.subject.properties, 'method', myMethod);
+      it('destroys each module instance', function () {
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        var target = sandbox.spy(instance, 'destroy');
+
+        ctx.moduleRegistry.destroy();
+        assert.called(target);
+        assert.equal(ctx.element.parentNode, ctx.fixture);
       });
 
-      it('throws an error if a property is added twice', function () {
-        ctx.subject.properties.prop = 'exists';
-        assert.throws(function () {
-          ctx.subject.methods({
-            prop: 'my-prop'
-          });
-        });
+      it('reports a failed asynchronous teardown', function (done) {
+        var error = new Error('Failed');
+        var target = sandbox.stub(m.events, 'report');
+        var instance = ctx.moduleRegistry.instance(ctx.factory, ctx.element);
+        instance.teardown = function () { return Promise.reject(error); };
+
+        ctx.moduleRegistry.destroy();
+        new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+          assert.calledWith(target, error, {topic: 'module:remove', cid: instance.cid});
+        }).then(done, done);
       });
 
-      it('returns itself', function () {
-        assert.strictEqual(ctx.subject.methods(), ctx.subject);
+      it('removes the delegated event handlers from the root', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'delegateHandler');
+        ctx.moduleRegistry.delegate(ctx.factory);
+        ctx.moduleRegistry.destroy();
+
+        $(ctx.element).trigger('click');
+        assert.notCalled(target);
+        assert.isFalse(ctx.factory.hasDelegated);
       });
-    });
 
-    describe('.mixin()', function () {
-      it('is an alias for .methods()', function () {
-        assert.strictEqual(ctx.subject.mixin, ctx.subject.methods);
+      it('disconnects the mutation observer', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'disconnect');
+        ctx.moduleRegistry.destroy();
+        assert.called(target);
       });
-    });
 
-    describe('.options()', function () {
-      it('sets the default options for the module', function () {
-        ctx.subject.options({
-          limit: 5,
-          offset: 2,
-          url: 'http://example.com'
-        });
+      it('disconnects any intersection observers', function () {
+        var observer = {disconnect: sandbox.spy()};
+        ctx.moduleRegistry.intersectionObservers['test:0'] = observer;
+        ctx.moduleRegistry.destroy();
 
-        assert.propertyVal(ctx.subject.defaults, 'limit', 5);
-        assert.propertyVal(ctx.subject.defaults, 'offset', 2);
-        assert.propertyVal(ctx.subject.defaults, 'url', 'http://example.com');
+        assert.called(observer.disconnect);
+        assert.deepEqual(ctx.moduleRegistry.intersectionObservers, {});
+      });
+
+      it('prevents scheduled modules from being created', function () {
+        ctx.moduleRegistry.destroy();
+        assert.isNull(ctx.moduleRegistry.ensureInstance(ctx.factory, ctx.element));
       });
 
       it('returns itself', function () {
-        assert.strictEqual(ctx.subject.options({limit: '5'}), ctx.subject);
+        assert.equal(ctx.moduleRegistry.destroy(), ctx.moduleRegistry);
       });
     });
 
-    describe('.requires()', function () {
-      it('adds the names to the dependencies array', function () {
-        ctx.subject.requires('dom');
-        assert.deepEqual(ctx.subject.dependencies, ['hub', 'dom']);
+    describe('.schedule()', function () {
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'deferUntilVisible');
       });
 
-      it('accepts arrays as well as strings', function () {
-        ctx.subject.requires(['api', 'notify'], 'dom');
-        assert.deepEqual(ctx.subject.dependencies, ['hub', 'api', 'notify', 'dom']);
+      it('calls the strategy method for each element level strategy', function () {
+        var options = {on: 'visible'};
+        ctx.factory.events = [{on: 'click'}, options];
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        assert.calledOnce(ctx.target);
+        assert.calledWith(ctx.target, ctx.factory, ctx.element, options);
       });
 
-      it('ensures that the dependencies are all unique', function () {
+      it('does nothing if the element already has an instance', function () {
+        ctx.factory.events = [{on: 'visible'}];
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        assert.notCalled(ctx.target);
+      });
+
+      it('does nothing if the element has already been scheduled', function () {
+        ctx.factory.events = [{on: 'visible'}];
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        assert.calledOnce(ctx.target);
+      });
+
+      it('does not record elements without an element level strategy', function () {
+        ctx.factory.events = [{on: 'click'}];
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        assert.isUndefined(ctx.moduleRegistry.scheduled.test);
+      });
+
+      it('schedules the element again once it has been unscheduled', function () {
+        ctx.factory.events = [{on: 'visible'}];
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        ctx.moduleRegistry.unschedule(ctx.factory, ctx.element);
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        assert.calledTwice(ctx.target);
+      });
+    });
+
+    describe('.unschedule()', function () {
+      beforeEach(function () {
+        ctx.factory.events = [{on: 'click'}, {on: 'visible'}];
+        ctx.moduleRegistry.scheduled.test = [ctx.element];
+      });
+
+      it('forgets the scheduled element', function () {
+        ctx.moduleRegistry.unschedule(ctx.factory, ctx.element);
+        assert.isUndefined(ctx.moduleRegistry.scheduled.test);
+      });
+
+      it('keeps other scheduled elements', function () {
+        var other = document.createElement('div');
+        ctx.moduleRegistry.scheduled.test.push(other);
+
+        ctx.moduleRegistry.unschedule(ctx.factory, ctx.element);
+        assert.deepEqual(ctx.moduleRegistry.scheduled.test, [other]);
+      });
+
+      it('stops observing the visibility of the element', function () {
+        var observer = {unobserve: sandbox.spy()};
+        ctx.moduleRegistry.intersectionObservers['test:1'] = observer;
+
+        ctx.moduleRegistry.unschedule(ctx.factory, ctx.element);
+        assert.calledWith(observer.unobserve, ctx.element);
+      });
+    });
+
+    describe('.deferUntilVisible()', function () {
+      ctx.set('target');
+
+      ctx.set('options', function () {
+        return {on: 'visible', rootMargin: '100px', threshold: 0.5};
+      });
+
+      beforeEach(function () {
+        var observers = ctx.observers = [];
+
+        ctx.IntersectionObserver = window.IntersectionObserver;
+        window.IntersectionObserver = function (callback, options) {
+          this.callback = callback;
+          this.options = options;
+          this.observe = sandbox.spy();
+          this.unobserve = sandbox.spy();
+          observers.push(this);
+        };
+
+        ctx.factory.events = [ctx.options];
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+      });
+
+      afterEach(function () {
+        window.IntersectionObserver = ctx.IntersectionObserver;
+      });
+
+      it('observes the element with the provided options', function () {
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, ctx.element, ctx.options);
+
+        assert.calledWith(ctx.observers[0].observe, ctx.element);
+        assert.deepEqual(ctx.observers[0].options, {rootMargin: '100px', threshold: 0.5});
+      });
+
+      it('shares the observer between elements', function () {
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, ctx.element, ctx.options);
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, document.createElement('div'), ctx.options);
+
+        assert.lengthOf(ctx.observers, 1);
+        assert.calledTwice(ctx.observers[0].observe);
+      });
+
+      it('creates the instance when the element enters the viewport', function () {
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, ctx.element, ctx.options);
+        ctx.observers[0].callback([{target: ctx.element, isIntersecting: true}]);
+
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+        assert.calledWith(ctx.observers[0].unobserve, ctx.element);
+      });
+
+      it('does nothing while the element is outside of the viewport', function () {
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, ctx.element, ctx.options);
+        ctx.observers[0].callback([{target: ctx.element, isIntersecting: false, intersectionRatio: 0}]);
+
+        assert.notCalled(ctx.target);
+      });
+
+      it('creates the instance immediately if IntersectionObserver is unsupported', function () {
+        window.IntersectionObserver = undefined;
+        ctx.moduleRegistry.deferUntilVisible(ctx.factory, ctx.element, ctx.options);
+
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('observes the element again once removed and re-appended', function () {
+        ctx.target.restore();
+        ctx.element.setAttribute('data-test', '');
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.root = ctx.fixture;
+        ctx.moduleRegistry.registry.test = ctx.factory;
+
+        ctx.moduleRegistry.schedule(ctx.factory, ctx.element);
+        ctx.observers[0].callback([{target: ctx.element, isIntersecting: true}]);
+        ctx.moduleRegistry.findInstance(ctx.factory, ctx.element).remove();
+
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.attach(ctx.element);
+        assert.calledTwice(ctx.observers[0].observe);
+      });
+    });
+
+    describe('.deferUntilIdle()', function () {
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.requestIdleCallback = window.requestIdleCallback;
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.scheduled.test = [ctx.element];
+      });
+
+      afterEach(function () {
+        window.requestIdleCallback = ctx.requestIdleCallback;
+      });
+
+      it('creates the instance once the browser is idle', function () {
+        var idle = window.requestIdleCallback = sandbox.spy();
+        ctx.moduleRegistry.deferUntilIdle(ctx.factory, ctx.element, {on: 'idle', timeout: 2000});
+
+        assert.calledWith(idle, sinon.match.func, {timeout: 2000});
+        assert.notCalled(ctx.target);
+
+        idle.firstCall.args[0]();
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('falls back to a timeout if requestIdleCallback is unsupported', function () {
+        var clock = sandbox.useFakeTimers();
+        window.requestIdleCallback = undefined;
+
+        ctx.moduleRegistry.deferUntilIdle(ctx.factory, ctx.element, {on: 'idle'});
+        assert.notCalled(ctx.target);
+
+        clock.tick(1);
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('does not create the instance if the element left the document', function () {
+        var idle = window.requestIdleCallback = sandbox.spy();
+        ctx.moduleRegistry.deferUntilIdle(ctx.factory, ctx.element, {on: 'idle'});
+        ctx.fixture.removeChild(ctx.element);
+
+        idle.firstCall.args[0]();
+        assert.notCalled(ctx.target);
+      });
+    });
+
+    describe('.deferUntilTimeout()', function () {
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.clock = sandbox.useFakeTimers();
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.scheduled.test = [ctx.element];
+      });
+
+      it('creates the instance after the delay', function () {
+        ctx.moduleRegistry.deferUntilTimeout(ctx.factory, ctx.element, {on: 'timeout', delay: 500});
+
+        ctx.clock.tick(499);
+        assert.notCalled(ctx.target);
+
+        ctx.clock.tick(1);
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('does not create the instance if the element left the document', function () {
+        ctx.moduleRegistry.deferUntilTimeout(ctx.factory, ctx.element, {on: 'timeout', delay: 20});
+        ctx.fixture.removeChild(ctx.element);
+
+        ctx.clock.tick(20);
+        assert.notCalled(ctx.target);
+      });
+
+      it('does not create the instance if the element was unscheduled', function () {
+        ctx.moduleRegistry.deferUntilTimeout(ctx.factory, ctx.element, {on: 'timeout', delay: 20});
+        ctx.moduleRegistry.unschedule(ctx.factory, ctx.element);
+
+        ctx.clock.tick(20);
+        assert.notCalled(ctx.target);
+      });
+    });
+
+    describe('.deferUntilMedia()', function () {
+      ctx.set('target');
+
+      ctx.set('options', function () {
+        return {on: 'media', query: '(min-width: 768px)'};
+      });
+
+      ctx.set('query', function () {
+        return {matches: false, addListener: sandbox.spy(), removeListener: sandbox.spy()};
+      });
+
+      beforeEach(function () {
+        ctx.matchMedia = window.matchMedia;
+        window.matchMedia = sandbox.stub().returns(ctx.query);
+        ctx.fixture.appendChild(ctx.element);
+        ctx.moduleRegistry.instances.test = [];
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance', function (factory, element) {
+          var instance = factory.build().create(element);
+          ctx.moduleRegistry.addInstance(instance);
+          instance.on('remove', _.bind(ctx.moduleRegistry.removeInstance, ctx.moduleRegistry, instance));
+          return instance;
+        });
+      });
+
+      afterEach(function () {
+        window.matchMedia = ctx.matchMedia;
+      });
+
+      it('creates the instance if the query matches', function () {
+        ctx.query.matches = true;
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+
+        assert.calledWith(window.matchMedia, '(min-width: 768px)');
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('does not create the instance if the query does not match', function () {
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+        assert.notCalled(ctx.target);
+      });
+
+      it('creates the instance when the query starts matching', function () {
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+
+        ctx.query.matches = true;
+        ctx.query.addListener.firstCall.args[0]();
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('destroys the instance when the query stops matching', function () {
+        ctx.query.matches = true;
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+
+        var instance = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
+        var target = sandbox.spy(instance, 'destroy');
+
+        ctx.query.matches = false;
+        ctx.query.addListener.firstCall.args[0]();
+
+        assert.called(target);
+        assert.isNull(ctx.moduleRegistry.findInstance(ctx.factory, ctx.element));
+        assert.equal(ctx.element.parentNode, ctx.fixture);
+      });
+
+      it('rebuilds the instance when the query matches again', function () {
+        ctx.query.matches = true;
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+        var first = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
+
+        ctx.query.matches = false;
+        ctx.query.addListener.firstCall.args[0]();
+        ctx.query.matches = true;
+        ctx.query.addListener.firstCall.args[0]();
+
+        var second = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
+        assert.ok(second);
+        assert.notStrictEqual(first, second);
+      });
+
+      it('stops listening once the element has been removed from the page', function () {
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+        ctx.fixture.removeChild(ctx.element);
+
+        var handler = ctx.query.addListener.firstCall.args[0];
+        handler();
+
+        assert.calledWith(ctx.query.removeListener, handler);
+      });
+
+      it('creates the instance immediately if matchMedia is unsupported', function () {
+        window.matchMedia = undefined;
+        ctx.moduleRegistry.deferUntilMedia(ctx.factory, ctx.element, ctx.options);
+
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+    });
+
+    describe('.ensureInstance()', function () {
+      ctx.set('target');
+
+      beforeEach(function () {
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance').returns(ctx.instance);
+      });
+
+      it('creates a new instance for the element', function () {
+        var result = ctx.moduleRegistry.ensureInstance(ctx.factory, ctx.element);
+
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+        assert.strictEqual(result, ctx.instance);
+      });
+
+      it('returns the existing instance without calling .run()', function () {
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+        var result = ctx.moduleRegistry.ensureInstance(ctx.factory, ctx.element);
+
+        assert.notCalled(ctx.target);
+        assert.strictEqual(result, ctx.instance);
+      });
+    });
+
+    describe('.delegateHandler', function () {
+      ctx.set('event', function () {
+        var event = _.clone(m.$.Event('click'));
+        event.currentTarget = ctx.element;
+        event.preventDefault = sandbox.spy();
+        return event;
+      });
+      ctx.set('target');
+      ctx.set('element');
+
+      beforeEach(function () {
+        ctx.element = document.createElement('div');
+        ctx.target = sandbox.stub(ctx.moduleRegistry, 'instance');
+      });
+
+      it('instantiates the module with the factory and current event target', function () {
+        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
+        assert.calledWith(ctx.target, ctx.factory, ctx.element);
+      });
+
+      it('prevents the default event action', function () {
+        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
+        assert.called(ctx.event.preventDefault);
+      });
+
+      it('does not prevent the default event action if options.preventDefault is false', function () {
+        ctx.moduleRegistry.delegateHandler(ctx.factory, {preventDefault: false}, ctx.event);
+        assert.notCalled(ctx.event.preventDefault);
+      });
+
+      it('does not try to call options.callback if it is not a function', function () {
+        var context = ctx;
+        [null, undefined, 'string', 10, false, true].forEach(function (value) {
+          assert.doesNotThrow(function () {
+            context.moduleRegistry.delegateHandler(context.factory, {callback: value}, context.event);
+          });
+        });
+      });
+
+      it('does nothing if the meta key is held down', function () {
+        ctx.event.metaKey = true;
+        ctx.moduleRegistry.delegateHandler(ctx.factory, {}, ctx.event);
+        assert.notCalled(ctx.target);
+      });
+    });
+
+    describe('.findInstance()', function () {
+      it('finds an instance for the factory and element provided', function () {
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+        var target = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
+        assert.strictEqual(target, ctx.instance);
+      });
+
+      it('returns null if no instance can be found', function () {
+        var target = ctx.moduleRegistry.findInstance(ctx.factory, ctx.element);
+        assert.isNull(target);
+      });
+    });
+
+    describe('.adopt()', function () {
+      ctx.set('outer', function () {
+        return new ModuleFactory('outer').build().create(document.createElement('div'));
+      });
+      ctx.set('inner', function () {
+        return new ModuleFactory('inner').build().create(document.createElement('div'));
+      });
+
+      beforeEach(function () {
+        ctx.outer.el.appendChild(ctx.element);
+        ctx.element.appendChild(ctx.inner.el);
+      });
+
+      it('sets the nearest instance around the element as the parent', function () {
+        ctx.moduleRegistry.instances.outer = [ctx.outer];
+        ctx.moduleRegistry.adopt(ctx.instance);
+
+        assert.strictEqual(ctx.instance.parentModule, ctx.outer);
+        assert.deepEqual(ctx.outer.childModules, [ctx.instance]);
+      });
+
+      it('moves instances within the element beneath it', function () {
+        ctx.moduleRegistry.instances.outer = [ctx.outer];
+        ctx.moduleRegistry.instances.inner = [ctx.inner];
+        ctx.moduleRegistry.adopt(ctx.inner);
+        ctx.moduleRegistry.adopt(ctx.instance);
+
+        assert.strictEqual(ctx.inner.parentModule, ctx.instance);
+        assert.deepEqual(ctx.instance.childModules, [ctx.inner]);
+        assert.deepEqual(ctx.outer.childModules, [ctx.instance]);
+      });
+
+      it('leaves instances that already have a nearer parent', function () {
+        ctx.moduleRegistry.instances.inner = [ctx.inner];
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+        ctx.moduleRegistry.adopt(ctx.instance);
+        ctx.moduleRegistry.adopt(ctx.inner);
+        ctx.moduleRegistry.adopt(ctx.outer);
+
+        assert.strictEqual(ctx.inner.parentModule, ctx.instance);
+        assert.strictEqual(ctx.instance.parentModule, ctx.outer);
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.moduleRegistry.adopt(ctx.instance), ctx.moduleRegistry);
+      });
+    });
+
+    describe('.findParent()', function () {
+      ctx.set('outer', function () {
+        return new ModuleFactory('outer').build().create(document.createElement('div'));
+      });
+
+      it('finds the instance bound to the nearest ancestor', function () {
+        var wrapper = document.createElement('div');
+        ctx.outer.el.appendChild(wrapper);
+        wrapper.appendChild(ctx.element);
+        ctx.moduleRegistry.instances.outer = [ctx.outer];
+
+        assert.strictEqual(ctx.moduleRegistry.findParent(ctx.element), ctx.outer);
+      });
+
+      it('returns null if no ancestor has an instance', function () {
+        ctx.fixture.appendChild(ctx.element);
+        assert.isNull(ctx.moduleRegistry.findParent(ctx.element));
+      });
+    });
+
+    describe('.addInstance()', function () {
+      it('adds the instance to the module.instances cache', function () {
+        var target = ctx.moduleRegistry.addInstance(ctx.instance);
+        assert.deepEqual(ctx.moduleRegistry.instances.test, [ctx.instance]);
+      });
+
+      it('creates the array if it does not already exist', function () {
+        var target = ctx.moduleRegistry.addInstance(ctx.instance);
+        assert.deepEqual(ctx.moduleRegistry.instances.test, [ctx.instance]);
+      });
+    });
+
+    describe('.removeInstance()', function () {
+      beforeEach(function () {
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+      });
+
+      it('removes the instance from the cache', function () {
+        ctx.moduleRegistry.removeInstance(ctx.instance);
+        assert.deepEqual(ctx.moduleRegistry.instances.test, []);
+      });
+
+      it('removes the instance from its parent', function () {
+        var parent = new Module();
+        ctx.moduleRegistry.setParent(ctx.instance, parent);
+        ctx.moduleRegistry.removeInstance(ctx.instance);
+
+        assert.isNull(ctx.instance.parentModule);
+        assert.deepEqual(parent.childModules, []);
+      });
+
+      it('unschedules the element of the instance', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'unschedule');
+        ctx.moduleRegistry.registry.test = ctx.factory;
+
+        ctx.moduleRegistry.removeInstance(ctx.instance);
+        assert.calledWith(target, ctx.factory, ctx.element);
+      });
+
+      it('keeps elements deferred until a media query matches scheduled while in the document', function () {
+        var target = sandbox.stub(ctx.moduleRegistry, 'unschedule');
+        ctx.factory.events = [{on: 'media', query: '(min-width: 768px)'}];
+        ctx.moduleRegistry.registry.test = ctx.factory;
+        ctx.fixture.appendChild(ctx.element);
+
+        ctx.moduleRegistry.removeInstance(ctx.instance);
+        assert.notCalled(target);
+      });
+    });
+
+    describe('.lookup()', function () {
+      beforeEach(function () {
+        ctx.moduleRegistry.instances.test = [ctx.instance];
+      });
+
+      it('returns all modules for the element provided', function () {
+        var result = ctx.moduleRegistry.lookup(ctx.instance.el);
+        assert.deepEqual(result, [ctx.instance]);
+      });
+
+      it('returns an empty array if no elements are found', function () {
+        var result = ctx.moduleRegistry.lookup(document.createElement('a'));
+        assert.deepEqual(result, []);
+      });
+
+      it('returns the exact module if a type is provided', function () {
+        var result = ctx.moduleRegistry.lookup(ctx.instance.el, 'test');
+        assert.equal(result, ctx.instance);
+      });
+
+      it('returns null if the module was not found for the element provided', function () {
+        var result = ctx.moduleRegistry.lookup(ctx.instance.el, 'non-existant');
+        assert.isNull(result);
+      });
+    });
+
+    describe('.mixin()', function () {
+      it('extends the Module prototype', function () {
+        var methods = {method1: function () {}, prop1: 'property'};
+
+        ctx.moduleRegistry.mixin(methods);
+
+        assert.propertyVal(Module.prototype, 'prop1', 'property');
+        assert.propertyVal(Module.prototype, 'method1', methods.method1);
+      });
+
+      it('throws an error if the property has already been set', function () {
+        Module.prototype.method1 = function () {};
+
+        assert.throws(function () {
+          ctx.moduleRegistry.mixin({method1: function () {}});
+        });
+      });
+    });
+  });
+
+  describe('ModuleFactory()', function () {
+    ctx.set('name', function () {
+      return 'example';
+    });
+    ctx.set('findModule', function () {
+      return sandbox.spy();
+    });
+    ctx.set('methods', function () {
+      return {};
+    });
+    ctx.set('subject', function () {
+      return new ModuleFactory(ctx.name, ctx.findModule);
+    });
+
+    it('throws an error if no type is provided', function () {
+      assert.throws(function () {
+        new ModuleFactory();
+      }, Error);
+    });
+
+    it('has a type property', function () {
+      assert.equal(ctx.subject.type, 'example');
+    });
+
+    it('has a data property', function () {
+      assert.equal(ctx.subject.namespace, 'data-example');
+    });
+
+    it('has a selector property', function () {
+      assert.equal(ctx.subject.selector, '[data-example]');
+    });
+
+    it('has a dependencies property', function () {
+      assert.deepEqual(ctx.subject.dependencies, ['hub']);
+    });
+
+    it('sets the findModule() method to the passed function', function () {
+      assert.equal(ctx.subject.findModule, ctx.findModule);
+    });
+
+    it('does not set the findModule() method if no function is provided', function () {
+      ctx.findModule = null;
+      assert.isFalse(_.has(ctx.subject, 'findModule'), 'subject should not have own property findModule');
+    });
+
+    describe('.build()', function () {
+      it('builds a new Module instance', function () {
+        assert.instanceOf(ctx.subject.build().prototype, Module);
+      });
+
+      it('returns the same object if called more than once', function () {
+        assert.strictEqual(ctx.subject.build(), ctx.subject.build());
+      });
+
+      it('returns a new object if the force option is true', function () {
+        var first = ctx.subject.build();
+        var second = ctx.subject.build({force: true});
+        assert.notStrictEqual(first, second);
+      });
+
+      it('uses the parent if provided', function () {
+        var target = ctx.subject.parent = new ModuleFactory('parent').build();
+        assert.instanceOf(ctx.subject.build().prototype, target);
+      });
+
+      it('extends the prototype with properties if provided', function () {
+        function method1() {}
+        ctx.subject.properties.method1 = method1;
+        assert.strictEqual(ctx.subject.build().prototype.method1, method1);
+      });
+
+      it('creates a named constructor function', function () {
+        var constructor = ctx.subject.build();
+        assert.equal(constructor.name, 'ExampleModule');
+      });
+
+      it('assigns the initial state to the prototype', function () {
+        ctx.subject.state({open: false});
+        assert.deepEqual(ctx.subject.build().prototype.initialState, {open: false});
+      });
+
+      it('merges the initial state with that of the parent', function () {
+        ctx.subject.parent = new ModuleFactory('parent').state({open: false, count: 0}).build();
+        ctx.subject.state({open: true});
+        assert.deepEqual(ctx.subject.build().prototype.initialState, {open: true, count: 0});
+      });
+    });
+
+    describe('.extend()', function () {
+      it('sets the parent property to the child Module provided', function () {
+        var ParentModule = Module.extend();
+        ctx.subject.extend(ParentModule);
+        assert.strictEqual(ctx.subject.parent, ParentModule);
+      });
+
+      it('throws an error if the parent is not a Module constructor', function () {
+        _.each([null, 'test', new Module(), new ModuleFactory('fake'), ModuleFactory], function (parent) {
+          assert.throws(function () {
+            ctx.subject.extend(parent);
+          });
+        }, ctx);
+      });
+
+      it('uses the findModule() function to lookup a string', function () {
+        var ParentModule = Module.extend();
+        ctx.findModule = sandbox.stub().returns(ParentModule);
+
+        ctx.subject.extend(ParentModule);
+        assert.strictEqual(ctx.subject.parent, ParentModule);
+      });
+
+      it('returns itself', function () {
+        var ParentModule = Module.extend();
+        assert.strictEqual(ctx.subject.extend(ParentModule), ctx.subject);
+      });
+    });
+
+    describe('.methods()', function () {
+      it('extends the properties object with the new methods', function () {
+        function myMethod() {}
+
+        ctx.subject.methods({
+          prop: 'my-prop',
+          method: myMethod
+        });
+
+        assert.propertyVal(ctx.subject.properties, 'prop', 'my-prop');
+        assert.propertyVal(ctx.subject.properties, 'method', myMethod);
+      });
+
+      it('throws an error if a property is added twice', function () {
+        ctx.subject.properties.prop = 'exists';
+        assert.throws(function () {
+          ctx.subject.methods({
+            prop: 'my-prop'
+          });
+        });
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.methods(), ctx.subject);
+      });
+    });
+
+    describe('.mixin()', function () {
+      it('is an alias for .methods()', function () {
+        assert.strictEqual(ctx.subject.mixin, ctx.subject.methods);
+      });
+    });
+
+    describe('.options()', function () {
+      it('sets the default options for the module', function () {
+        ctx.subject.options({
+          limit: 5,
+          offset: 2,
+          url: 'http://example.com'
+        });
+
+        assert.propertyVal(ctx.subject.defaults, 'limit', 5);
+        assert.propertyVal(ctx.subject.defaults, 'offset', 2);
+        assert.propertyVal(ctx.subject.defaults, 'url', 'http://example.com');
+      });
+
+      it('sets the schema for the options', function () {
+        var validate = function () {};
+        ctx.subject.options({}, {
+          limit: 'number',
+          id: {required: true, validate: validate}
+        });
+
+        assert.deepEqual(ctx.subject.schema.limit, {type: 'number'});
+        assert.deepEqual(ctx.subject.schema.id, {type: 'string', required: true, validate: validate});
+      });
+
+      it('throws if a rule has an unknown type', function () {
+        assert.throws(function () {
+          ctx.subject.options({}, {limit: 'integer'});
+        }, 'Unknown type "integer" for option limit of module example');
+      });
+
+      it('throws if an enum rule has no values', function () {
+        assert.throws(function () {
+          ctx.subject.options({}, {size: 'enum'});
+        }, 'The enum option size of module example requires an array of values');
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.options({limit: '5'}), ctx.subject);
+      });
+    });
+
+    describe('.state()', function () {
+      it('sets the initial state for the module', function () {
+        ctx.subject.state({open: false}).state({count: 0});
+        assert.deepEqual(ctx.subject.initialState, {open: false, count: 0});
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.state({}), ctx.subject);
+      });
+    });
+
+    describe('.requires()', function () {
+      it('adds the names to the dependencies array', function () {
+        ctx.subject.requires('dom');
+        assert.deepEqual(ctx.subject.dependencies, ['hub', 'dom']);
+      });
+
+      it('accepts arrays as well as strings', function () {
+        ctx.subject.requires(['api', 'notify'], 'dom');
+        assert.deepEqual(ctx.subject.dependencies, ['hub', 'api', 'notify', 'dom']);
+      });
+
+      it('ensures that the dependencies are all unique', function () {
         ctx.subject.requires('dom', 'dom');
         assert.deepEqual(ctx.subject.dependencies, ['hub', 'dom']);
       });
     });
 
-    describe('.defer()', function () {
-      it('pushes the event into the events queue', function () {
-        var event = {on: 'click', preventDefault: false};
-        ctx.subject.defer(event);
+    describe('.defer()', function () {
+      it('pushes the event into the events queue', function () {
+        var event = {on: 'click', preventDefault: false};
+        ctx.subject.defer(event);
+
+        assert.include(ctx.subject.events, event);
+      });
+
+      it('throws an error if the "on" property is missing', function () {
+        var event = {preventDefault: false};
+
+        assert.throws(function () {
+          ctx.subject.defer(event);
+        });
+      });
+
+      it('accepts the "visible" event', function () {
+        var event = {on: 'visible', rootMargin: '200px'};
+        ctx.subject.defer(event);
+
+        assert.include(ctx.subject.events, event);
+      });
+
+      it('throws an error if the "query" property is missing for the media event', function () {
+        assert.throws(function () {
+          ctx.subject.defer({on: 'media'});
+        });
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.defer({on: 'click'}), ctx.subject);
+      });
+    });
+
+    describe('.isDeferred()', function () {
+      it('returns true if the factory has registered events', function () {
+        ctx.subject.events.push({});
+        assert.isTrue(ctx.subject.isDeferred());
+      });
+
+      it('returns false if the factory has no registered events', function () {
+        assert.isFalse(ctx.subject.isDeferred());
+      });
+    });
+
+    describe('.extract()', function () {
+      it('extracts the data keys from the element', function () {
+        var element = $('<div>', {
+          'data-not-module': 'skip',
+          'data-example': 'skip',
+          'data-example-a': 'capture',
+          'data-example-b': 'capture',
+          'data-example-c': 'capture'
+        })[0];
+
+        var target = ctx.subject.extract(element);
+        assert.deepEqual(target, {a: 'capture', b: 'capture', c: 'capture'});
+      });
+
+      it('converts JSON contents of keys into JS primitives', function () {
+        var element = $('<div>', {
+          'data-example-null': 'null',
+          'data-example-int': '100',
+          'data-example-arr': '[1, 2, 3]',
+          'data-example-obj': '{"a": 1, "b":2, "c": 3}',
+          'data-example-str': 'hello'
+        })[0];
+
+        var target = ctx.subject.extract(element);
+
+        assert.deepEqual(target, {
+          'null': null,
+          'int': 100,
+          'arr': [1, 2, 3],
+          'obj': {"a": 1, "b": 2, "c": 3},
+          'str': 'hello'
+        });
+      });
+
+      it('uses strings for content that it cannot parse as JSON', function () {
+        var element = $('<div>', {
+          'data-example-url': 'http://example.com/path/to.html',
+          'data-example-bad': '{oh: 1, no'
+        })[0];
+
+        var target = ctx.subject.extract(element);
+
+        assert.deepEqual(target, {
+          'url': 'http://example.com/path/to.html',
+          'bad': '{oh: 1, no'
+        });
+      });
+
+      it('converts keys with hyphens into camelCase', function () {
+        var element = $('<div>', {
+          'data-example-long-property': 'long',
+          'data-example-really-very-long-property': 'longer'
+        })[0];
+
+        var target = ctx.subject.extract(element);
+
+        assert.deepEqual(target, {
+          'longProperty': 'long',
+          'reallyVeryLongProperty': 'longer'
+        });
+      });
+
+      it('handles modules with hyphens in the name', function () {
+        ctx.name = 'long-example';
+
+        var element = $('<div>', {
+          'data-long-example-long-property': 'long',
+          'data-long-example-really-very-long-property': 'longer'
+        })[0];
+
+        var target = ctx.subject.extract(element);
+
+        assert.deepEqual(target, {
+          'longProperty': 'long',
+          'reallyVeryLongProperty': 'longer'
+        });
+      });
+
+      it('sets boolean attributes to true', function () {
+        var element = $('<div>', {
+          'data-example-long-property': ''
+        })[0];
+
+        var target = ctx.subject.extract(element);
+
+        assert.deepEqual(target, {'longProperty': true});
+      });
+
+      describe('with a schema', function () {
+        var debug = m.events.debug;
+
+        afterEach(function () {
+          m.events.debug = debug;
+        });
+
+        it('converts the options using the schema', function () {
+          ctx.subject.options({}, {id: 'string', limit: 'number', open: 'boolean'});
+          var element = $('<div>', {
+            'data-example-id': '007',
+            'data-example-limit': '5',
+            'data-example-open': 'false'
+          })[0];
+
+          assert.deepEqual(ctx.subject.extract(element), {id: '007', limit: 5, open: false});
+        });
+
+        it('merges the options with the defaults', function () {
+          ctx.subject.options({limit: 10, offset: 0}, {limit: 'number'});
+          var element = $('<div>', {'data-example-limit': '5'})[0];
+
+          assert.deepEqual(ctx.subject.extract(element), {limit: 5, offset: 0});
+        });
+
+        it('throws if a required attribute is missing', function () {
+          ctx.subject.options({}, {longId: {required: true}});
+          var element = $('<div>', {id: 'basket', 'class': 'cart'})[0];
+
+          assert.throws(function () {
+            ctx.subject.extract(element);
+          }, 'Missing required data-example-long-id attribute for module example on <div id="basket" class="cart">');
+        });
+
+        it('throws if an attribute is invalid', function () {
+          ctx.subject.options({}, {limit: 'number'});
+          var element = $('<div>', {'data-example-limit': 'lots'})[0];
+
+          assert.throws(function () {
+            ctx.subject.extract(element);
+          }, 'Invalid data-example-limit attribute for module example on <div>: expected a number but got "lots"');
+        });
+
+        it('warns about unknown attributes in debug mode', function () {
+          var target = sandbox.stub(m.events, 'warn');
+          m.events.debug = true;
+          ctx.subject.options({offset: 0}, {limit: 'number'});
+          var element = $('<div>', {'data-example-limt': '5', 'data-example-offset': '1'})[0];
+
+          assert.deepEqual(ctx.subject.extract(element), {limt: 5, offset: 1});
+          assert.calledOnce(target);
+          assert.calledWith(target, 'Unknown data-example-limt attribute for module example on <div>');
+        });
+
+        it('does not warn about attributes when debug mode is disabled', function () {
+          var target = sandbox.stub(m.events, 'warn');
+          ctx.subject.options({}, {limit: 'number'});
+          ctx.subject.extract($('<div>', {'data-example-limt': '5'})[0]);
+
+          assert.notCalled(target);
+        });
+
+        it('does not warn for modules without options', function () {
+          var target = sandbox.stub(m.events, 'warn');
+          m.events.debug = true;
+          ctx.subject.extract($('<div>', {'data-example-limit': '5'})[0]);
+
+          assert.notCalled(target);
+        });
+      });
+    });
+
+    describe('.coerce()', function () {
+      ctx.set('element', function () {
+        return $('<div>', {id: 'cart'})[0];
+      });
 
-        assert.include(ctx.subject.events, event);
+      function coerce(rule, value) {
+        return ctx.subject.coerce(ctx.element, 'data-example-value', rule, value);
+      }
+
+      it('converts numbers', function () {
+        assert.strictEqual(coerce({type: 'number'}, '007'), 7);
+        assert.strictEqual(coerce({type: 'number'}, '-1.5'), -1.5);
+        assert.throws(function () { coerce({type: 'number'}, ''); }, 'expected a number but got ""');
       });
 
-      it('throws an error if the "on" property is missing', function () {
-        var event = {preventDefault: false};
+      it('converts booleans', function () {
+        assert.isTrue(coerce({type: 'boolean'}, ''));
+        assert.isTrue(coerce({type: 'boolean'}, 'true'));
+        assert.isFalse(coerce({type: 'boolean'}, 'false'));
+        assert.throws(function () { coerce({type: 'boolean'}, 'yes'); }, 'expected true or false but got "yes"');
+      });
+
+      it('parses JSON', function () {
+        assert.deepEqual(coerce({type: 'json'}, '{"a": [1]}'), {a: [1]});
+        assert.throws(function () { coerce({type: 'json'}, '{a'); }, 'expected valid JSON but got "{a"');
+      });
+
+      it('checks enums against the allowed values', function () {
+        var rule = {type: 'enum', values: ['small', 'large']};
+        assert.equal(coerce(rule, 'small'), 'small');
+        assert.throws(function () { coerce(rule, 'huge'); }, 'expected one of small, large but got "huge"');
+      });
+
+      it('converts dates', function () {
+        var date = coerce({type: 'date'}, '2014-05-01T00:00:00Z');
+        assert.instanceOf(date, Date);
+        assert.equal(date.getTime(), Date.UTC(2014, 4, 1));
+        assert.throws(function () { coerce({type: 'date'}, 'soon'); }, 'expected a date but got "soon"');
+      });
+
+      it('uses a custom coercer if provided', function () {
+        var rule = {coerce: sandbox.stub().returns(['a', 'b'])};
+        assert.deepEqual(coerce(rule, 'a,b'), ['a', 'b']);
+        assert.calledWith(rule.coerce, 'a,b', ctx.element);
+      });
 
+      it('names the attribute, module and element in errors', function () {
         assert.throws(function () {
-          ctx.subject.defer(event);
-        });
+          coerce({type: 'number'}, 'lots');
+        }, 'Invalid data-example-value attribute for module example on <div id="cart">: expected a number but got "lots"');
       });
 
-      it('returns itself', function () {
-        assert.strictEqual(ctx.subject.defer({on: 'click'}), ctx.subject);
+      it('throws if the validator returns false', function () {
+        var rule = {type: 'number', validate: function (value) { return value > 0; }};
+        assert.strictEqual(coerce(rule, '2'), 2);
+        assert.throws(function () { coerce(rule, '-2'); }, 'the value "-2" is not valid');
+      });
+
+      it('uses the message returned by the validator', function () {
+        var rule = {type: 'number', validate: function () { return 'must be positive'; }};
+        assert.throws(function () { coerce(rule, '-2'); }, 'on <div id="cart">: must be positive');
       });
     });
+  });
 
-    describe('.isDeferred()', function () {
-      it('returns true if the factory has registered events', function () {
-        ctx.subject.events.push({});
-        assert.isTrue(ctx.subject.isDeferred());
+  describe('Module()', function () {
+    ctx.set('dependencies', function () {
+      return {};
+    });
+    ctx.set('options', function () {
+      return {};
+    });
+    ctx.set('subject', function () {
+      return new Module(ctx.element, ctx.dependencies, ctx.options);
+    });
+
+    it('is an instance of Events', function () {
+      assert.instanceOf(ctx.subject, m.Events);
+    });
+
+    it('assigns .el as the element option', function () {
+      assert.ok(ctx.subject.el === ctx.element);
+    });
+
+    it('wraps .$el in $ if not already wrapped', function () {
+      // Zepto appears to extend the normal array. So is more difficult to
+      // test for than jQuery so here we have a forked test :(
+      // https://github.com/madrobby/zepto/issues/349#issuecomment-4985091
+      if (m.$.zepto) {
+        assert.ok(m.$.zepto.isZ(ctx.subject.$el));
+      } else {
+        assert.ok(ctx.subject.$el instanceof m.$);
+      }
+    });
+
+    it('assigns a cid property', function () {
+      assert.match(ctx.subject.cid, /base:\d+/);
+    });
+
+    it('triggers the "module:create" event if the hub library exists', function () {
+      var publish = sandbox.spy();
+      ctx.dependencies = {
+        hub: {publish: publish}
+      };
+
+      var subject = ctx.subject;
+      assert.called(publish);
+      assert.calledWith(publish, 'module:create', ctx.options, subject);
+    });
+
+    it('isolates errors thrown by its event handlers', function () {
+      var error = new Error('Failed');
+      var handler = sandbox.spy();
+      var reporter = sandbox.spy();
+      var subject = ctx.subject;
+
+      m.events.reporter = reporter;
+      subject.on('change', function () { throw error; });
+      subject.on('change', handler);
+      subject.emit('change');
+      m.events.reporter = null;
+
+      assert.called(handler);
+      assert.calledWith(reporter, error, sinon.match({topic: 'change', cid: subject.cid}));
+    });
+
+    it('assigns its cid to the hub', function () {
+      var hub = new m.ModuleMediator(m.events);
+      ctx.dependencies = {hub: hub};
+
+      var subject = ctx.subject;
+      assert.equal(hub.cid, subject.cid);
+    });
+
+    it('initializes the module', function () {
+      var target = sandbox.spy();
+      var ChildModule = Module.extend({initialize: target});
+
+      new ChildModule();
+      assert.calledWith(target, ctx.dependencies, ctx.options);
+    });
+
+    it('calls the initialize hooks around .initialize()', function () {
+      var before = sandbox.spy();
+      var initialize = sandbox.spy();
+      var after = sandbox.spy();
+      var ChildModule = Module.extend({
+        beforeInitialize: before,
+        initialize: initialize,
+        afterInitialize: after
       });
 
-      it('returns false if the factory has no registered events', function () {
-        assert.isFalse(ctx.subject.isDeferred());
+      new ChildModule(null, ctx.dependencies, ctx.options);
+      assert.calledWith(before, ctx.dependencies, ctx.options);
+      assert.calledWith(after, ctx.dependencies, ctx.options);
+      assert(before.calledBefore(initialize), 'expected beforeInitialize() first');
+      assert(after.calledAfter(initialize), 'expected afterInitialize() last');
+    });
+
+    it('sets up the event handlers', function () {
+      var target = sandbox.spy();
+      var ChildModule = Module.extend({
+        events: {click: '_onClick'},
+        _onClick: target
       });
+
+      var childModule = new ChildModule();
+      childModule.$el.click();
+      assert.called(target);
     });
 
-    describe('.extract()', function () {
-      it('extracts the data keys from the element', function () {
-        var element = $('<div>', {
-          'data-not-module': 'skip',
-          'data-example': 'skip',
-          'data-example-a': 'capture',
-          'data-example-b': 'capture',
-          'data-example-c': 'capture'
-        })[0];
+    // The teardown feature is not currently supported by Zepto and needs
+    // to be patched in with another library[1]?
+    // [1]: https://github.com/Enideo/zepto-events-special
+    if (m.$.zepto) {
+      it('auto teardown after dom removal is not supported using Zepto due to a lack of $.event.special support');
+    } else {
+      it('tears down when module element is removed', function () {
+        var target = ctx.subject.teardown = sandbox.spy();
+        ctx.fixture.appendChild(ctx.subject.el);
+        ctx.subject.$el.remove();
+        assert.called(target);
+      });
 
-        var target = ctx.subject.extract(element);
-        assert.deepEqual(target, {a: 'capture', b: 'capture', c: 'capture'});
+      it('reports a failed teardown when the module element is removed', function (done) {
+        var error = new Error('Failed');
+        var target = sandbox.stub(m.events, 'report');
+        ctx.subject.teardown = function () { return Promise.reject(error); };
+        ctx.fixture.appendChild(ctx.subject.el);
+        ctx.subject.$el.remove();
+
+        new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+          assert.calledWith(target, error, {topic: 'module:remove', cid: ctx.subject.cid});
+        }).then(done, done);
       });
+    }
 
-      it('converts JSON contents of keys into JS primitives', function () {
-        var element = $('<div>', {
-          'data-example-null': 'null',
-          'data-example-int': '100',
-          'data-example-arr': '[1, 2, 3]',
-          'data-example-obj': '{"a": 1, "b":2, "c": 3}',
-          'data-example-str': 'hello'
-        })[0];
+    describe('.$()', function () {
+      it('find children within the module element', function () {
+        ctx.subject.$el.append($('<input /><input />'));
+        assert.equal(ctx.subject.$('input').length, 2);
+      });
+    });
 
-        var target = ctx.subject.extract(element);
+    describe('.type', function () {
+      it('returns the module factory type', function () {
+        assert.equal(ctx.subject.type, 'base');
+      });
+    });
 
-        assert.deepEqual(target, {
-          'null': null,
-          'int': 100,
-          'arr': [1, 2, 3],
-          'obj': {"a": 1, "b": 2, "c": 3},
-          'str': 'hello'
+    describe('.run()', function () {
+      it('simply returns itself', function () {
+        assert.strictEqual(ctx.subject.run(), ctx.subject);
+      });
+    });
+
+    describe('.parent()', function () {
+      it('returns the parent module', function () {
+        var parent = new Module();
+        ctx.subject.parentModule = parent;
+        assert.strictEqual(ctx.subject.parent(), parent);
+      });
+
+      it('returns null if the module has no parent', function () {
+        assert.isNull(ctx.subject.parent());
+      });
+    });
+
+    describe('.children()', function () {
+      ctx.set('item', function () {
+        return new ModuleFactory('item').build().create();
+      });
+      ctx.set('other', function () {
+        return new ModuleFactory('other').build().create();
+      });
+
+      beforeEach(function () {
+        ctx.subject.childModules.push(ctx.item, ctx.other);
+      });
+
+      it('returns the child modules', function () {
+        assert.deepEqual(ctx.subject.children(), [ctx.item, ctx.other]);
+      });
+
+      it('filters the children by type', function () {
+        assert.deepEqual(ctx.subject.children('item'), [ctx.item]);
+      });
+
+      it('returns a copy of the children', function () {
+        assert.notStrictEqual(ctx.subject.children(), ctx.subject.childModules);
+      });
+    });
+
+    describe('.closest()', function () {
+      ctx.set('list', function () {
+        return new ModuleFactory('list').build().create();
+      });
+
+      beforeEach(function () {
+        var item = new ModuleFactory('item').build().create();
+        item.parentModule = ctx.list;
+        ctx.subject.parentModule = item;
+      });
+
+      it('finds the nearest ancestor of the type', function () {
+        assert.strictEqual(ctx.subject.closest('list'), ctx.list);
+      });
+
+      it('returns null if there is no ancestor of the type', function () {
+        assert.isNull(ctx.subject.closest('page'));
+      });
+
+      it('does not include the module itself', function () {
+        assert.isNull(ctx.subject.closest('base'));
+      });
+    });
+
+    describe('.dispatch()', function () {
+      ctx.set('list', function () {
+        return new ModuleFactory('list').build().create();
+      });
+      ctx.set('item', function () {
+        return new ModuleFactory('item').build().create();
+      });
+
+      beforeEach(function () {
+        ctx.item.parentModule = ctx.list;
+        ctx.subject.parentModule = ctx.item;
+      });
+
+      it('calls the listeners on each ancestor, nearest first', function () {
+        var onItem = sandbox.spy();
+        var onList = sandbox.spy();
+        ctx.item.listen('selected', onItem);
+        ctx.list.listen('selected', onList);
+
+        ctx.subject.dispatch('selected', 'a', 'b');
+        assert.calledWith(onItem, sinon.match.object, 'a', 'b');
+        assert.calledWith(onList, sinon.match.object, 'a', 'b');
+        assert(onItem.calledBefore(onList), 'expected the nearest ancestor first');
+      });
+
+      it('passes an event object with the type and modules', function () {
+        var target = sandbox.spy();
+        ctx.list.listen('selected', target);
+        ctx.subject.dispatch('selected');
+
+        var event = target.firstCall.args[0];
+        assert.equal(event.type, 'selected');
+        assert.strictEqual(event.target, ctx.subject);
+        assert.strictEqual(event.currentTarget, ctx.list);
+      });
+
+      it('does not call listeners on the module itself', function () {
+        var target = sandbox.spy();
+        ctx.subject.listen('selected', target);
+        ctx.subject.dispatch('selected');
+
+        assert.notCalled(target);
+      });
+
+      it('stops bubbling when a handler stops propagation', function () {
+        var target = sandbox.spy();
+        ctx.item.listen('selected', function (event) {
+          event.stopPropagation();
         });
+        ctx.list.listen('selected', target);
+        ctx.subject.dispatch('selected');
+
+        assert.notCalled(target);
+      });
+
+      it('does not publish the event on the hub', function () {
+        var publish = sandbox.spy();
+        ctx.list.hub = {publish: publish};
+        ctx.list.listen('selected', sandbox.spy());
+        ctx.subject.dispatch('selected');
+
+        assert.notCalled(publish);
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.dispatch('selected'), ctx.subject);
+      });
+    });
+
+    describe('.listen()', function () {
+      it('calls the handler with the module as the context', function () {
+        var child = new Module();
+        var target = sandbox.spy();
+        child.parentModule = ctx.subject;
+
+        ctx.subject.listen('selected', target);
+        child.dispatch('selected');
+
+        assert.calledOn(target, ctx.subject);
+      });
+
+      it('throws if no handler is provided', function () {
+        assert.throws(function () {
+          ctx.subject.listen('selected');
+        }, 'module.listen() must be called with a handler function');
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.listen('selected', sandbox.spy()), ctx.subject);
+      });
+    });
+
+    describe('.unlisten()', function () {
+      it('removes the handler', function () {
+        var child = new Module();
+        var target = sandbox.spy();
+        child.parentModule = ctx.subject;
+
+        ctx.subject.listen('selected', target).unlisten('selected', target);
+        child.dispatch('selected');
+
+        assert.notCalled(target);
       });
+    });
 
-      it('uses strings for content that it cannot parse as JSON', function () {
-        var element = $('<div>', {
-          'data-example-url': 'http://example.com/path/to.html',
-          'data-example-bad': '{oh: 1, no'
-        })[0];
+    describe('.state', function () {
+      it('is a copy of the initial state', function () {
+        var ChildModule = Module.extend({initialState: {open: false}});
+        var instance = new ChildModule();
 
-        var target = ctx.subject.extract(element);
+        assert.deepEqual(instance.state, {open: false});
+        assert.notStrictEqual(instance.state, ChildModule.prototype.initialState);
+      });
 
-        assert.deepEqual(target, {
-          'url': 'http://example.com/path/to.html',
-          'bad': '{oh: 1, no'
-        });
+      it('calls the initial state if it is a function', function () {
+        var ChildModule = Module.extend({initialState: function () { return {items: []}; }});
+        assert.deepEqual(new ChildModule().state, {items: []});
       });
 
-      it('converts keys with hyphens into camelCase', function () {
-        var element = $('<div>', {
-          'data-example-long-property': 'long',
-          'data-example-really-very-long-property': 'longer'
-        })[0];
+      it('defaults to an empty object', function () {
+        assert.deepEqual(ctx.subject.state, {});
+      });
+    });
 
-        var target = ctx.subject.extract(element);
+    describe('.setState()', function () {
+      beforeEach(function () {
+        ctx.subject.state = {open: false, count: 1};
+      });
 
-        assert.deepEqual(target, {
-          'longProperty': 'long',
-          'reallyVeryLongProperty': 'longer'
+      it('merges the values into the state', function () {
+        ctx.subject.setState({open: true});
+        assert.deepEqual(ctx.subject.state, {open: true, count: 1});
+      });
+
+      it('accepts a function returning the values', function () {
+        ctx.subject.setState(function (state) {
+          return {count: state.count + 1};
         });
+        assert.deepEqual(ctx.subject.state, {open: false, count: 2});
       });
 
-      it('handles modules with hyphens in the name', function () {
-        ctx.name = 'long-example';
+      it('emits a "change" event with the changes and previous state', function () {
+        var target = sandbox.spy();
+        ctx.subject.on('change', target);
+        ctx.subject.setState({open: true, count: 1});
 
-        var element = $('<div>', {
-          'data-long-example-long-property': 'long',
-          'data-long-example-really-very-long-property': 'longer'
-        })[0];
+        assert.calledWith(target, {open: true}, {open: false, count: 1}, ctx.subject);
+      });
 
-        var target = ctx.subject.extract(element);
+      it('publishes the "module:change" event if the hub library exists', function () {
+        var publish = sandbox.spy();
+        ctx.subject.hub = {publish: publish};
+        ctx.subject.state = {};
+        ctx.subject.setState({open: true});
 
-        assert.deepEqual(target, {
-          'longProperty': 'long',
-          'reallyVeryLongProperty': 'longer'
-        });
+        assert.calledWith(publish, 'module:change', {open: true}, {}, ctx.subject);
       });
 
-      it('sets boolean attributes to true', function () {
-        var element = $('<div>', {
-          'data-example-long-property': ''
-        })[0];
+      it('does nothing if no values have changed', function () {
+        var target = sandbox.spy();
+        var state = ctx.subject.state;
+        ctx.subject.on('change', target);
+        ctx.subject.setState({open: false});
 
-        var target = ctx.subject.extract(element);
+        assert.notCalled(target);
+        assert.strictEqual(ctx.subject.state, state);
+      });
 
-        assert.deepEqual(target, {'longProperty': true});
+      it('requests a render', function () {
+        var target = sandbox.stub(ctx.subject, 'requestRender');
+        ctx.subject.setState({open: true});
+        assert.called(target);
       });
-    });
-  });
 
-  describe('Module()', function () {
-    ctx.set('dependencies', function () {
-      return {};
-    });
-    ctx.set('options', function () {
-      return {};
-    });
-    ctx.set('subject', function () {
-      return new Module(ctx.element, ctx.dependencies, ctx.options);
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.setState({}), ctx.subject);
+      });
     });
 
-    it('is an instance of Events', function () {
-      assert.instanceOf(ctx.subject, m.Events);
-    });
+    describe('.requestRender()', function () {
+      var requestAnimationFrame = window.requestAnimationFrame;
 
-    it('assigns .el as the element option', function () {
-      assert.ok(ctx.subject.el === ctx.element);
-    });
+      beforeEach(function () {
+        window.requestAnimationFrame = sandbox.spy(function () { return 1; });
+        ctx.subject.render = sandbox.spy();
+      });
 
-    it('wraps .$el in $ if not already wrapped', function () {
-      // Zepto appears to extend the normal array. So is more difficult to
-      // test for than jQuery so here we have a forked test :(
-      // https://github.com/madrobby/zepto/issues/349#issuecomment-4985091
-      if (m.$.zepto) {
-        assert.ok(m.$.zepto.isZ(ctx.subject.$el));
-      } else {
-        assert.ok(ctx.subject.$el instanceof m.$);
-      }
-    });
+      afterEach(function () {
+        window.requestAnimationFrame = requestAnimationFrame;
+      });
 
-    it('assigns a cid property', function () {
-      assert.match(ctx.subject.cid, /base:\d+/);
-    });
+      it('renders on the next animation frame', function () {
+        ctx.subject.requestRender();
+        assert.notCalled(ctx.subject.render);
 
-    it('triggers the "module:create" event if the hub library exists', function () {
-      var publish = sandbox.spy();
-      ctx.dependencies = {
-        hub: {publish: publish}
-      };
+        window.requestAnimationFrame.firstCall.args[0]();
+        assert.calledOnce(ctx.subject.render);
+      });
 
-      var subject = ctx.subject;
-      assert.called(publish);
-      assert.calledWith(publish, 'module:create', ctx.options, subject);
-    });
+      it('only requests one frame until rendered', function () {
+        ctx.subject.requestRender().requestRender();
+        assert.calledOnce(window.requestAnimationFrame);
 
-    it('initializes the module', function () {
-      var target = sandbox.spy();
-      var ChildModule = Module.extend({initialize: target});
+        window.requestAnimationFrame.firstCall.args[0]();
+        ctx.subject.requestRender();
+        assert.calledTwice(window.requestAnimationFrame);
+      });
 
-      new ChildModule();
-      assert.calledWith(target, ctx.dependencies, ctx.options);
-    });
+      it('does not render if the module has been removed', function () {
+        ctx.subject.requestRender();
+        ctx.subject.removed = true;
+        window.requestAnimationFrame.firstCall.args[0]();
 
-    it('sets up the event handlers', function () {
-      var target = sandbox.spy();
-      var ChildModule = Module.extend({
-        events: {click: '_onClick'},
-        _onClick: target
+        assert.notCalled(ctx.subject.render);
       });
 
-      var childModule = new ChildModule();
-      childModule.$el.click();
-      assert.called(target);
-    });
-
-    // The teardown feature is not currently supported by Zepto and needs
-    // to be patched in with another library[1]?
-    // [1]: https://github.com/Enideo/zepto-events-special
-    if (m.$.zepto) {
-      it('auto teardown after dom removal is not supported using Zepto due to a lack of $.event.special support');
-    } else {
-      it('tears down when module element is removed', function () {
-        var target = ctx.subject.teardown = sandbox.spy();
-        ctx.fixture.appendChild(ctx.subject.el);
-        ctx.subject.$el.remove();
-        assert.called(target);
+      it('does nothing if the module has no render method', function () {
+        ctx.subject.render = null;
+        ctx.subject.requestRender();
+        assert.notCalled(window.requestAnimationFrame);
       });
-    }
 
-    describe('.$()', function () {
-      it('find children within the module element', function () {
-        ctx.subject.$el.append($('<input /><input />'));
-        assert.equal(ctx.subject.$('input').length, 2);
+      it('does nothing if the module has neither a template nor its own render method', function () {
+        ctx.subject.render = Module.prototype.render;
+        ctx.subject.requestRender();
+        assert.notCalled(window.requestAnimationFrame);
       });
-    });
 
-    describe('.type', function () {
-      it('returns the module factory type', function () {
-        assert.equal(ctx.subject.type, 'base');
+      it('renders the template if the module has one', function () {
+        ctx.subject.render = Module.prototype.render;
+        ctx.subject.template = '<%- name %>';
+        ctx.subject.requestRender();
+        assert.calledOnce(window.requestAnimationFrame);
       });
-    });
 
-    describe('.run()', function () {
-      it('simply returns itself', function () {
-        assert.strictEqual(ctx.subject.run(), ctx.subject);
+      it('falls back to a timeout', function () {
+        var clock = sandbox.useFakeTimers();
+        window.requestAnimationFrame = undefined;
+
+        ctx.subject.requestRender();
+        clock.tick(16);
+        assert.calledOnce(ctx.subject.render);
       });
     });
 
@@ -891,11 +2755,76 @@ describe('m.module()', function () {
         assert.calledWith(publish, 'module:update', '<div></div>', ctx.subject);
       });
 
+      it('emits the "replace" event before replacing the markup', function () {
+        var target = sandbox.spy(function () {
+          assert.equal(ctx.subject.$el.html(), '<p>old</p>');
+        });
+
+        ctx.subject.$el.html('<p>old</p>');
+        ctx.subject.on('replace', target);
+        ctx.subject.html('<p>new</p>');
+
+        assert.calledWith(target, ctx.subject);
+      });
+
       it('returns itself', function () {
         assert.strictEqual(ctx.subject.html(), ctx.subject);
       });
     });
 
+    describe('.render()', function () {
+      beforeEach(function () {
+        ctx.subject.template = '<p><%- name %></p>';
+        sandbox.spy(ctx.subject, 'html');
+      });
+
+      it('replaces the markup using .html()', function () {
+        ctx.subject.render({name: 'Bill'});
+        assert.calledWith(ctx.subject.html, '<p>Bill</p>');
+      });
+
+      it('renders the state by default', function () {
+        ctx.subject.state = {name: 'Ben'};
+        ctx.subject.render();
+        assert.calledWith(ctx.subject.html, '<p>Ben</p>');
+      });
+
+      it('does nothing if the module has no template', function () {
+        ctx.subject.template = null;
+        ctx.subject.render({});
+        assert.notCalled(ctx.subject.html);
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.render({name: 'Bill'}), ctx.subject);
+      });
+    });
+
+    describe('.renderTemplate()', function () {
+      it('compiles the template with underscore by default', function () {
+        ctx.subject.template = '<%= a %>-<%= b %>';
+        assert.equal(ctx.subject.renderTemplate({a: 1, b: 2}), '1-2');
+      });
+
+      it('only compiles the template once', function () {
+        var template = sandbox.stub().returns('markup');
+        ctx.subject.templateEngine = sandbox.stub().returns(template);
+        ctx.subject.template = 'source';
+
+        ctx.subject.renderTemplate({});
+        ctx.subject.renderTemplate({});
+
+        assert.calledOnce(ctx.subject.templateEngine);
+        assert.calledWith(ctx.subject.templateEngine, 'source');
+        assert.calledTwice(template);
+      });
+
+      it('uses a template function as is', function () {
+        ctx.subject.template = function (data) { return 'Hi ' + data.name; };
+        assert.equal(ctx.subject.renderTemplate({name: 'Bill'}), 'Hi Bill');
+      });
+    });
+
     describe('.initialize()', function () {
       it('exists as a no-op', function () {
         assert.isFunction(ctx.instance.initialize);
@@ -908,6 +2837,115 @@ describe('m.module()', function () {
       });
     });
 
+    describe('.beforeInitialize()', function () {
+      it('exists as a no-op', function () {
+        assert.isFunction(ctx.instance.beforeInitialize);
+      });
+    });
+
+    describe('.afterInitialize()', function () {
+      it('exists as a no-op', function () {
+        assert.isFunction(ctx.instance.afterInitialize);
+      });
+    });
+
+    describe('.beforeRemove()', function () {
+      it('exists as a no-op', function () {
+        assert.isFunction(ctx.instance.beforeRemove);
+      });
+    });
+
+    describe('.afterRemove()', function () {
+      it('exists as a no-op', function () {
+        assert.isFunction(ctx.instance.afterRemove);
+      });
+    });
+
+    describe('.destroy()', function () {
+      it('tears down the module', function () {
+        var target = sandbox.stub(ctx.subject, 'teardown');
+        ctx.subject.destroy();
+
+        assert.called(target);
+      });
+
+      it('triggers the "remove" event on itself', function () {
+        var target = sandbox.spy();
+        ctx.subject.addListener('remove', target);
+
+        ctx.subject.destroy();
+        assert.calledWith(target, ctx.subject);
+      });
+
+      it('unbinds the DOM event handlers', function () {
+        var target = sandbox.stub(ctx.subject, 'undelegateEvents');
+        ctx.subject.destroy();
+
+        assert.called(target);
+      });
+
+      it('leaves the element in the page', function () {
+        ctx.fixture.appendChild(ctx.subject.el);
+        ctx.subject.destroy();
+
+        assert.equal(ctx.subject.el.parentNode, ctx.fixture);
+      });
+
+      it('destroys the child modules first', function () {
+        var child = new Module();
+        var teardown = sandbox.stub(ctx.subject, 'teardown');
+        sandbox.stub(child, 'teardown');
+        ctx.subject.childModules.push(child);
+
+        ctx.subject.destroy();
+        assert.isTrue(child.removed);
+        assert(child.teardown.calledBefore(teardown), 'expected the child to be torn down first');
+      });
+
+      it('only tears down the module once', function () {
+        var target = sandbox.stub(ctx.subject, 'teardown');
+
+        ctx.subject.destroy();
+        ctx.subject.remove();
+
+        assert.calledOnce(target);
+      });
+
+      it('calls the remove hooks around the teardown', function () {
+        var before = sandbox.stub(ctx.subject, 'beforeRemove');
+        var teardown = sandbox.stub(ctx.subject, 'teardown');
+        var after = sandbox.stub(ctx.subject, 'afterRemove');
+        var remove = sandbox.spy();
+        ctx.subject.on('remove', remove);
+
+        ctx.subject.destroy();
+        assert(before.calledBefore(teardown), 'expected beforeRemove() first');
+        assert(after.calledAfter(remove), 'expected afterRemove() after the "remove" event');
+      });
+
+      it('waits for an asynchronous teardown before emitting "remove"', function (done) {
+        var resolve;
+        var target = sandbox.spy();
+        ctx.subject.teardown = function () {
+          return new Promise(function (res) { resolve = res; });
+        };
+        ctx.subject.on('remove', target);
+
+        var promise = ctx.subject.destroy();
+        assert.notCalled(target);
+
+        resolve();
+        promise.then(function (module) {
+          assert.strictEqual(module, ctx.subject);
+          assert.called(target);
+        }).then(done, done);
+      });
+
+      it('returns itself', function () {
+        assert.strictEqual(ctx.subject.destroy(), ctx.subject);
+      });
+    });
+
     describe('.remove()', function () {
       it('tears down the module', function () {
         var target = sandbox.stub(ctx.subject, 'teardown');
@@ -940,6 +2978,104 @@ describe('m.module()', function () {
 
         assert.equal(ctx.fixture.children.length, 0);
       });
+
+      it('only tears down the module once', function () {
+        var target = sandbox.stub(ctx.subject, 'teardown');
+        ctx.fixture.appendChild(ctx.subject.el);
+
+        ctx.subject.remove();
+        ctx.subject.remove();
+
+        assert.calledOnce(target);
+      });
+
+      it('tears down descendants first, deepest first', function () {
+        var child = new Module();
+        var grandchild = new Module();
+        var teardown = sandbox.stub(ctx.subject, 'teardown');
+        sandbox.stub(child, 'teardown');
+        sandbox.stub(grandchild, 'teardown');
+        ctx.subject.childModules.push(child);
+        child.childModules.push(grandchild);
+        ctx.subject.el.appendChild(child.el);
+        child.el.appendChild(grandchild.el);
+
+        ctx.subject.remove();
+        assert(grandchild.teardown.calledBefore(child.teardown), 'expected the grandchild to be torn down first');
+        assert(child.teardown.calledBefore(teardown), 'expected the child to be torn down before the parent');
+      });
+
+      describe('with an asynchronous teardown', function () {
+        ctx.set('resolve');
+        ctx.set('reject');
+
+        beforeEach(function () {
+          ctx.fixture.appendChild(ctx.subject.el);
+          ctx.subject.teardown = function () {
+            return new Promise(function (resolve, reject) {
+              ctx.resolve = resolve;
+              ctx.reject = reject;
+            });
+          };
+        });
+
+        it('leaves the element in the page until the teardown resolves', function (done) {
+          var promise = ctx.subject.remove();
+          assert.equal(ctx.subject.el.parentNode, ctx.fixture);
+
+          ctx.resolve();
+          promise.then(function (module) {
+            assert.strictEqual(module, ctx.subject);
+            assert.equal(ctx.fixture.children.length, 0);
+          }).then(done, done);
+        });
+
+        it('delays the "remove" event until the teardown resolves', function (done) {
+          var target = sandbox.spy();
+          ctx.subject.on('remove', target);
+
+          var promise = ctx.subject.remove();
+          assert.notCalled(target);
+
+          ctx.resolve();
+          promise.then(function () {
+            assert.called(target);
+          }).then(done, done);
+        });
+
+        it('waits for nested modules before tearing down the module', function (done) {
+          var child = new Module();
+          var teardown = sandbox.spy(ctx.subject, 'teardown');
+          var resolveChild;
+          child.teardown = function () {
+            return new Promise(function (resolve) { resolveChild = resolve; });
+          };
+          ctx.subject.childModules.push(child);
+
+          var promise = ctx.subject.remove();
+          assert.notCalled(teardown);
+
+          resolveChild();
+          setTimeout(function () {
+            assert.called(teardown);
+            ctx.resolve();
+            promise.then(function () {}).then(done, done);
+          }, 0);
+        });
+
+        it('still removes the module if the teardown fails', function (done) {
+          var error = new Error('Failed');
+          var promise = ctx.subject.remove();
+
+          ctx.reject(error);
+          promise.then(function () {
+            throw new Error('expected the promise to reject');
+          }, function (err) {
+            assert.strictEqual(err, error);
+            assert.equal(ctx.fixture.children.length, 0);
+          }).then(done, done);
+        });
+      });
     });
 
     describe('.delegateEvents()', function () {
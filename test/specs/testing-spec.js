@@ -0,0 +1,204 @@
+describe('m.test()', function () {
+  var ModuleHarness = m.test.ModuleHarness;
+  var sandbox = sinon.sandbox.create();
+  var ctx = lazy({}, 'set', beforeEach);
+
+  ctx.set('app', function () {
+    return m.createApp();
+  });
+
+  ctx.set('factory', function () {
+    return ctx.app('cart', {
+      initialize: function () {
+        this.hub.publish('cart:ready', {id: 1}, 'extra');
+      }
+    });
+  });
+
+  ctx.set('subject', function () {
+    return m.test('cart', {registry: ctx.app});
+  });
+
+  beforeEach(function () {
+    ctx.factory;
+  });
+
+  afterEach(function () {
+    m.test.cleanup();
+    sandbox.restore();
+  });
+
+  it('returns a ModuleHarness', function () {
+    assert.instanceOf(ctx.subject, ModuleHarness);
+  });
+
+  it('accepts a ModuleFactory', function () {
+    assert.instanceOf(m.test(ctx.factory).module, m.module.Module);
+  });
+
+  it('throws if the module type has not been defined', function () {
+    assert.throws(function () {
+      m.test('missing', {registry: ctx.app});
+    }, 'm.test() could not find a module with type missing');
+  });
+
+  it('looks up the module type on m.module by default', function () {
+    var target = sandbox.stub(m.module, 'find').returns(ctx.factory);
+    m.test('cart');
+    assert.calledWith(target, 'cart');
+  });
+
+  describe('ModuleHarness()', function () {
+    it('mounts the module on an element in the document', function () {
+      assert.instanceOf(ctx.subject.module, m.module.Module);
+      assert.strictEqual(ctx.subject.module.el, ctx.subject.element);
+      assert.strictEqual(ctx.subject.root.parentNode, document.body);
+    });
+
+    it('uses the first element matching the module in the HTML', function () {
+      var subject = new ModuleHarness(ctx.factory, {
+        html: '<section><p data-cart data-cart-currency="EUR"></p></section>'
+      });
+
+      assert.equal(subject.element.nodeName, 'P');
+      assert.equal(subject.module.$el.attr('data-cart-currency'), 'EUR');
+    });
+
+    it('throws if the HTML has no element for the module', function () {
+      var count = document.body.children.length;
+      assert.throws(function () {
+        new ModuleHarness(ctx.factory, {html: '<p></p>'});
+      }, 'm.test() could not find an element for module cart in the HTML');
+      assert.equal(document.body.children.length, count);
+    });
+
+    it('passes the options to the module', function () {
+      var target = sandbox.spy(ctx.factory.build().prototype, 'initialize');
+      new ModuleHarness(ctx.factory, {options: {currency: 'EUR'}});
+      assert.calledWith(target, sinon.match.object, sinon.match({currency: 'EUR'}));
+    });
+
+    it('provides the fake libraries to the module', function () {
+      var api = {};
+      var target = sandbox.spy(ctx.factory.build().prototype, 'initialize');
+      ctx.factory.requires('api');
+
+      new ModuleHarness(ctx.factory, {libraries: {api: api}});
+      assert.strictEqual(target.firstCall.args[0].api, api);
+    });
+
+    it('does not add the fake libraries to m.libraries', function () {
+      new ModuleHarness(ctx.factory, {libraries: {api: {}}});
+      assert.isFalse(m.libraries.has('api'));
+    });
+
+    it('provides a hub that is separate from m.events', function () {
+      var target = sandbox.spy();
+      m.events.subscribe('cart:ready', target);
+
+      assert.instanceOf(ctx.subject.module.hub, m.ModuleMediator);
+      assert.instanceOf(ctx.subject.hub, m.Hub);
+      assert.notStrictEqual(ctx.subject.hub, m.events);
+      assert.notCalled(target);
+
+      m.events.unsubscribe('cart:ready', target);
+    });
+
+    it('uses a fake hub if provided', function () {
+      var hub = {publish: sandbox.spy()};
+      var subject = new ModuleHarness(ctx.factory, {libraries: {hub: hub}});
+      assert.calledWith(hub.publish, 'cart:ready');
+      assert.deepEqual(subject.published, []);
+    });
+
+    it('leaves .ready null if the module is built straight away', function () {
+      assert.isNull(ctx.subject.ready);
+    });
+
+    it('mounts the module without window.Promise', function () {
+      var Promise = window.Promise;
+      window.Promise = undefined;
+
+      try {
+        assert.instanceOf(m.test(ctx.factory).module, m.module.Module);
+      } finally {
+        window.Promise = Promise;
+      }
+    });
+
+    describe('with asynchronous libraries', function () {
+      beforeEach(function () {
+        ctx.factory.requires('config');
+      });
+
+      it('sets the module once the libraries resolve', function (done) {
+        var subject = new ModuleHarness(ctx.factory, {libraries: {config: window.Promise.resolve({})}});
+        assert.isNull(subject.module);
+
+        subject.ready.then(function (harness) {
+          assert.strictEqual(harness, subject);
+          assert.instanceOf(subject.module, m.module.Module);
+        }).then(done, done);
+      });
+    });
+  });
+
+  describe('.published', function () {
+    it('records the events published on the hub', function () {
+      assert.deepEqual(ctx.subject.publishedTo('cart:ready'), [[{id: 1}, 'extra']]);
+      assert.ok(_.findWhere(ctx.subject.published, {topic: 'module:create'}));
+    });
+
+    it('records events published by the test', function () {
+      ctx.subject.hub.publish('cart:clear');
+      assert.deepEqual(ctx.subject.publishedTo('cart:clear'), [[]]);
+    });
+  });
+
+  describe('.wasPublished()', function () {
+    it('returns true if the topic was published', function () {
+      assert.isTrue(ctx.subject.wasPublished('cart:ready'));
+    });
+
+    it('compares the arguments provided deeply', function () {
+      assert.isTrue(ctx.subject.wasPublished('cart:ready', {id: 1}));
+      assert.isTrue(ctx.subject.wasPublished('cart:ready', {id: 1}, 'extra'));
+      assert.isFalse(ctx.subject.wasPublished('cart:ready', {id: 2}));
+    });
+
+    it('returns false if the topic was not published', function () {
+      assert.isFalse(ctx.subject.wasPublished('cart:remove'));
+    });
+  });
+
+  describe('.teardown()', function () {
+    it('removes the module', function () {
+      var module = ctx.subject.module;
+      ctx.subject.teardown();
+      assert.isTrue(module.removed);
+    });
+
+    it('removes the HTML from the document', function () {
+      var root = ctx.subject.root;
+      ctx.subject.teardown();
+      assert.isNull(root.parentNode);
+    });
+
+    it('returns itself', function () {
+      assert.strictEqual(ctx.subject.teardown(), ctx.subject);
+    });
+  });
+
+  describe('.cleanup()', function () {
+    it('tears down every harness', function () {
+      var first = ctx.subject;
+      var second = m.test('cart', {registry: ctx.app});
+      sandbox.spy(first, 'teardown');
+      sandbox.spy(second, 'teardown');
+
+      m.test.cleanup();
+      assert.calledOnce(first.teardown);
+      assert.calledOnce(second.teardown);
+    });
+  });
+});
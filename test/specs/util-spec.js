@@ -54,3 +54,35 @@ describe('m.util.create()', function () {
     });
   });
 });
+
+describe('m.util.isPromise()', function () {
+  it('returns true for objects with a then() method', function () {
+    assert.isTrue(m.util.isPromise({then: function () {}}));
+    assert.isTrue(m.util.isPromise(m.$.Deferred ? m.$.Deferred().promise() : Promise.resolve()));
+  });
+
+  it('returns false for other values', function () {
+    _.each([null, undefined, 0, 'string', {}, [], {then: 'string'}], function (value) {
+      assert.isFalse(m.util.isPromise(value), 'Expected false for: ' + value);
+    });
+  });
+});
+
+describe('m.util.promise()', function () {
+  var Promise = window.Promise;
+
+  afterEach(function () {
+    window.Promise = Promise;
+  });
+
+  it('returns the native Promise', function () {
+    assert.strictEqual(m.util.promise('Lazy loading'), Promise);
+  });
+
+  it('throws an error naming the feature if Promise is unavailable', function () {
+    window.Promise = undefined;
+    assert.throws(function () {
+      m.util.promise('Lazy loading');
+    }, 'Lazy loading requires window.Promise, include a Promise polyfill to use it');
+  });
+});